@@ -43,6 +43,7 @@
       pro: { label: "Pro", cpu: 2, ram: 16, disk: 100, pointsPerHour: 120, badge: "Power" },
       ultra: { label: "Ultra", cpu: 4, ram: 32, disk: 200, pointsPerHour: 220, badge: "Beast" },
     },
+    defaultPlan: "free",
 
     regions: [
       "Singapore",
@@ -98,6 +99,14 @@
     profile: null,
   };
 
+  // Runner configurations for workflows with cpu_cores / ram_size / disk_size inputs
+  // (same as the Worker's default PLANS; points are per session).
+  const WORKFLOW_PLANS = {
+    micro: { label: "Micro", cpu: 2, ram: 4, disk: 40, points: 150, badge: "Cheapest" },
+    pro: { label: "Pro", cpu: 4, ram: 8, disk: 60, points: 300, badge: "Best value" },
+    ultra: { label: "Ultra", cpu: 4, ram: 12, disk: 100, points: 450, badge: "Power" },
+  };
+
   const WORKFLOW_FALLBACK_PROFILE = {
     timeoutMinutes: 360,
     inputs: {
@@ -122,107 +131,39 @@
     env: { CPU: 4, RAM_GB: 8, DISK_GB: 60 },
   };
 
-  function indentOf(line) {
-    const m = String(line).match(/^(\s*)/);
-    return m ? m[1].length : 0;
-  }
-
-  function stripQuotes(v) {
-    const s = String(v || "").trim();
-    if ((s.startsWith('"') && s.endsWith('"')) || (s.startsWith("'") && s.endsWith("'"))) return s.slice(1, -1);
-    return s;
-  }
-
-  function parseWorkflowInputsFromYml(yml) {
-    const lines = String(yml || "").split(/\r?\n/);
-
-    let i = 0;
-    for (; i < lines.length; i++) {
-      if (/^\s*workflow_dispatch:\s*$/.test(lines[i])) break;
-    }
-    if (i >= lines.length) return null;
-    const wdIndent = indentOf(lines[i]);
-
-    for (; i < lines.length; i++) {
-      if (/^\s*inputs:\s*$/.test(lines[i]) && indentOf(lines[i]) > wdIndent) break;
-    }
-    if (i >= lines.length) return null;
-
-    const inputsIndent = indentOf(lines[i]);
-    i++;
-
+  function parseWorkflowProfile(yml) {
+    // Same parser as the Worker and the panel (public/workflow-yaml.js).
+    const wf = WorkflowYaml.parseWorkflow(yml);
     const inputs = {};
-    while (i < lines.length) {
-      const line = lines[i];
-      const ind = indentOf(line);
-      if (ind <= inputsIndent) break;
-
-      const mName = line.match(/^\s*([A-Za-z0-9_]+):\s*$/);
-      if (mName && ind === inputsIndent + 2) {
-        const name = mName[1];
-        const inputIndent = ind;
-        const input = {};
-
-        i++;
-        while (i < lines.length) {
-          const l = lines[i];
-          const li = indentOf(l);
-          if (li <= inputIndent) break;
-
-          const mkv = l.match(/^\s*([A-Za-z0-9_]+):\s*(.*)\s*$/);
-          if (mkv && li === inputIndent + 2) {
-            const k = mkv[1];
-            const raw = mkv[2];
-
-            if (k === "description" || k === "default" || k === "type") input[k] = stripQuotes(raw);
-            if (k === "required") input.required = /true/i.test(raw);
-
-            if (k === "options") {
-              const optionsIndent = li;
-              const opts = [];
-              i++;
-              while (i < lines.length) {
-                const ol = lines[i];
-                const oi = indentOf(ol);
-                if (oi <= optionsIndent) break;
-
-                const om = ol.match(/^\s*-\s*(.+?)\s*$/);
-                if (om) opts.push(stripQuotes(om[1]));
-                i++;
-              }
-              input.options = opts;
-              continue;
-            }
-          }
-
-          i++;
+    for (const d of wf.inputs) {
+      inputs[d.name] = { description: d.description, default: d.default, type: d.type, required: d.required, options: d.options };
+    }
+    const sized = ["cpu_cores", "ram_size", "disk_size"].every((n) => inputs[n]);
+    return { timeoutMinutes: wf.timeoutMinutes, inputs: wf.inputs.length ? inputs : null, env: parseEnvSpec(wf.jobs), sized };
+  }
+
+  function parseEnvSpec(jobs) {
+    // VM size: job/step env, or the docker-compose file the run script writes (RAM_SIZE: "8G" ...).
+    const vars = {};
+    for (const job of Object.values(jobs || {})) {
+      Object.assign(vars, job?.env);
+      for (const step of job?.steps || []) {
+        Object.assign(vars, step?.env);
+        const run = String(step?.run || "");
+        for (const m of run.matchAll(/^\s*(CPU_CORES|RAM_SIZE|DISK_SIZE|CPU|RAM|DISK):\s*"?(\d+)\s*G?"?\s*$/gm)) {
+          if (vars[m[1]] === undefined) vars[m[1]] = m[2];
         }
-
-        inputs[name] = input;
-        continue;
       }
-
-      i++;
     }
 
-    return inputs;
-  }
-
-  function parseTimeoutMinutes(yml) {
-    const m = String(yml || "").match(/timeout-minutes:\s*(\d+)/);
-    return m ? Number(m[1]) : null;
-  }
-
-  function parseEnvSpec(yml) {
-    // These are defined in the "Run Windows RDP Container" step env block in your workflow.
-    const cpu = String(yml || "").match(/^\s*CPU:\s*"?(\d+)"?\s*$/m);
-    const ram = String(yml || "").match(/^\s*RAM:\s*"?(\d+)\s*G"?\s*$/m);
-    const disk = String(yml || "").match(/^\s*DISK:\s*"?(\d+)\s*G"?\s*$/m);
-
+    const num = (v) => (v === undefined ? NaN : parseInt(String(v), 10));
     const out = {};
-    if (cpu) out.CPU = Number(cpu[1]);
-    if (ram) out.RAM_GB = Number(ram[1]);
-    if (disk) out.DISK_GB = Number(disk[1]);
+    const cpu = num(vars.CPU_CORES ?? vars.CPU);
+    const ram = num(vars.RAM_SIZE ?? vars.RAM);
+    const disk = num(vars.DISK_SIZE ?? vars.DISK);
+    if (Number.isFinite(cpu)) out.CPU = cpu;
+    if (Number.isFinite(ram)) out.RAM_GB = ram;
+    if (Number.isFinite(disk)) out.DISK_GB = disk;
     return Object.keys(out).length ? out : null;
   }
 
@@ -240,14 +181,21 @@
       return;
     }
 
-    const inputs = parseWorkflowInputsFromYml(yml);
-    const timeoutMinutes = parseTimeoutMinutes(yml);
-    const env = parseEnvSpec(yml);
+    let parsed;
+    try {
+      parsed = parseWorkflowProfile(yml);
+    } catch {
+      // unparseable yml: same fallback as a missing file
+      applyWorkflowProfile(WORKFLOW_FALLBACK_PROFILE, { source: "fallback" });
+      return;
+    }
+    const { inputs, timeoutMinutes, env, sized } = parsed;
 
     const profile = {
       timeoutMinutes: timeoutMinutes ?? WORKFLOW_FALLBACK_PROFILE.timeoutMinutes,
       inputs: inputs ?? WORKFLOW_FALLBACK_PROFILE.inputs,
       env: env ?? WORKFLOW_FALLBACK_PROFILE.env,
+      sized,
     };
 
     applyWorkflowProfile(profile, { source: "yml" });
@@ -265,30 +213,40 @@
     // Map to existing UI model:
     // - image => OS options (raw strings)
     // - region => Language options
-    // - plan is fixed to "free" (we override its spec to match workflow env)
+    // - plan => the workflow's runner configurations when it takes cpu_cores/ram_size/disk_size,
+    //   else a single "free" plan with the spec hardcoded in the workflow env
     CFG.images = osOptions.map((s) => ({ id: s, label: s }));
     CFG.regions = [...langOptions];
 
-    const cpu = Number(p.env?.CPU ?? WORKFLOW_FALLBACK_PROFILE.env.CPU);
-    const ram = Number(p.env?.RAM_GB ?? WORKFLOW_FALLBACK_PROFILE.env.RAM_GB);
-    const disk = Number(p.env?.DISK_GB ?? WORKFLOW_FALLBACK_PROFILE.env.DISK_GB);
-
-    // Keep "free" id because other parts of the app assume CFG.plans.free exists.
-    CFG.plans = {
-      free: {
-        label: `Docker Windows • ${cpu}vCPU • ${ram}GB RAM`,
-        cpu,
-        ram,
-        disk,
-        pointsPerHour: 50,
-        badge: "Workflow",
-      },
-    };
-
     // Fixed session duration from workflow timeout
     const sessionHours = Math.max(1, Math.round((Number(p.timeoutMinutes) || 360) / 60));
     CFG._workflowSessionHours = sessionHours;
 
+    if (p.sized) {
+      // Plans are priced per session; the cost maths works per hour.
+      CFG.plans = {};
+      for (const [id, plan] of Object.entries(WORKFLOW_PLANS)) {
+        const { points, ...spec } = plan;
+        CFG.plans[id] = { ...spec, pointsPerHour: points / sessionHours };
+      }
+      CFG.defaultPlan = "pro";
+    } else {
+      const cpu = Number(p.env?.CPU ?? WORKFLOW_FALLBACK_PROFILE.env.CPU);
+      const ram = Number(p.env?.RAM_GB ?? WORKFLOW_FALLBACK_PROFILE.env.RAM_GB);
+      const disk = Number(p.env?.DISK_GB ?? WORKFLOW_FALLBACK_PROFILE.env.DISK_GB);
+      CFG.plans = {
+        free: {
+          label: `Docker Windows • ${cpu}vCPU • ${ram}GB RAM`,
+          cpu,
+          ram,
+          disk,
+          pointsPerHour: 50,
+          badge: "Workflow",
+        },
+      };
+      CFG.defaultPlan = "free";
+    }
+
     WORKFLOW_SYNC.loaded = true;
     WORKFLOW_SYNC.profile = p;
 
@@ -303,10 +261,10 @@
       hoursSel.appendChild(opt);
     }
 
-    // Hide plan field in create modal (spec is fixed by backend)
+    // Plan field only when the workflow has sizes to pick from
     const planSel = document.querySelector('[data-ui="createVpsForm"] select[name="plan"]');
     const planField = planSel?.closest(".field");
-    if (planField) planField.hidden = true;
+    if (planField) planField.hidden = !p.sized;
 
     // If create modal already hydrated, ensure costs/spec are re-rendered
     // (safe even if user never opens modal)
@@ -1175,7 +1133,7 @@
   // VPS instances
   // ---------------------------------------------------------
   function planSpec(planId) {
-    return CFG.plans[planId] || CFG.plans.free;
+    return CFG.plans[planId] || CFG.plans[CFG.defaultPlan];
   }
 
   function getSelectedInstance(d) {
@@ -1224,7 +1182,7 @@
 
     const fd = new FormData(form);
     const name = String(fd.get("name") || "").trim() || "my-vps";
-    const plan = String(fd.get("plan") || "free");
+    const plan = String(fd.get("plan") || CFG.defaultPlan);
     const region = String(fd.get("region") || CFG.regions[0]);
     const image = String(fd.get("image") || CFG.images[0].id);
     const hours = Math.max(1, Math.min(24, Number(fd.get("hours") || 6)));
@@ -2217,7 +2175,7 @@
         const opt = document.createElement("option");
         opt.value = id;
         opt.textContent = `${spec.label} — ${spec.cpu} vCPU • ${spec.ram}GB • ${spec.disk}GB • ${spec.pointsPerHour} pts/h`;
-        if (id === "free") opt.selected = true;
+        if (id === CFG.defaultPlan) opt.selected = true;
         planSel.appendChild(opt);
       }
     }
@@ -2251,7 +2209,7 @@
     if (!form) return;
 
     const fd = new FormData(form);
-    const plan = String(fd.get("plan") || "free");
+    const plan = String(fd.get("plan") || CFG.defaultPlan);
     const hours = Number(fd.get("hours") || 6);
     const cost = vpsCost(plan, hours);
 
@@ -2327,8 +2285,8 @@
     safeText(ui.pointsBalanceAside, nf.format(points));
     safeText(ui.pointsBalanceDash, nf.format(points));
 
-    // redeem progress (free plan 6h => 300)
-    const redeemTarget = CFG.plans.free.pointsPerHour * 6;
+    // redeem progress (default plan 6h => 300)
+    const redeemTarget = CFG.plans[CFG.defaultPlan].pointsPerHour * 6;
     safeText(ui.redeemTarget, nf.format(redeemTarget));
     safeText(ui.redeemTargetAside, nf.format(redeemTarget));
 
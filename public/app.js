@@ -1,15 +1,18 @@
 /* CloudVPS (vanilla) — Firebase RTDB + Worker (GitHub Actions proxy)
-   - Options (OS/Language) are synced from workflow inputs via Worker /api/config.
+   - Workflow catalog + each workflow's inputs are synced via Worker /api/config.
    - Connection info is synced from running action via Worker (webhook -> KV) /api/runs/:id/connection.
-   - Firebase RTDB stores users + sessions only.
+   - Active sessions follow /api/runs/:id/events (SSE) for status, connection-ready and remaining time.
+   - Firebase RTDB stores users + sessions; points (wallets/ledger) are written by the Worker only.
 */
 (() => {
   "use strict";
 
   // ===== Config =====
   const CFG = {
-    redeemPoints: 300,
+    redeemPoints: 300, // workflows without plans; sized workflows cost their plan's points
     sessionSeconds: 6 * 60 * 60,
+    extendPoints: 300,
+    extendWindowSec: 30 * 60, // Worker accepts an extension only this close to expiry
     tasks: {
       video: { reward: 5, cooldownSec: 45 },
       short: { reward: 2, cooldownSec: 25 },
@@ -53,6 +56,10 @@
     sessionsBody: $("#sessionsBody"),
     sessionsEmpty: $("#sessionsEmpty"),
     sessionsWrap: $("#sessionsWrap"),
+    disksPanel: $("#disksPanel"),
+    disksList: $("#disksList"),
+    disksLimit: $("#disksLimit"),
+    disksEmpty: $("#disksEmpty"),
 
     // Settings
     workerBaseUrl: $("#workerBaseUrl"),
@@ -64,6 +71,15 @@
     btnExport: $("#btnExport"),
     btnImport: $("#btnImport"),
     btnResetUI: $("#btnResetUI"),
+    auditPanel: $("#auditPanel"),
+    auditFilters: $("#auditFilters"),
+    auditUid: $("#auditUid"),
+    auditRun: $("#auditRun"),
+    auditFrom: $("#auditFrom"),
+    auditTo: $("#auditTo"),
+    auditList: $("#auditList"),
+    auditEmpty: $("#auditEmpty"),
+    btnAuditMore: $("#btnAuditMore"),
 
     // Modals
     authModal: $("#authModal"),
@@ -90,19 +106,31 @@
     authTabs: $$("[data-auth-tab]"),
 
     // Create modal fields
-    osSelect: $("#osSelect"),
-    langSelect: $("#langSelect"),
+    workflowSelect: $("#workflowSelect"),
+    planField: $("#planField"),
+    planSelect: $("#planSelect"),
+    costPoints: $("#costPoints"),
+    workflowInputs: $("#workflowInputs"),
+    diskField: $("#diskField"),
+    diskSelect: $("#diskSelect"),
     btnCreateConfirm: $("#btnCreateConfirm"),
     createHint: $("#createHint"),
+    quotaHint: $("#quotaHint"),
 
     // Connection modal
-    connRdp: $("#connRdp"),
-    connWeb: $("#connWeb"),
-    connWebOpen: $("#connWebOpen"),
+    connEndpoints: $("#connEndpoints"),
     connUser: $("#connUser"),
     connPass: $("#connPass"),
     btnFetchConn: $("#btnFetchConn"),
     connHint: $("#connHint"),
+
+    // Logs drawer
+    logsModal: $("#logsModal"),
+    logsSubtitle: $("#logsSubtitle"),
+    logsSteps: $("#logsSteps"),
+    logsText: $("#logsText"),
+    logsHint: $("#logsHint"),
+    btnLogsRefresh: $("#btnLogsRefresh"),
   };
 
   // ===== Toast =====
@@ -306,20 +334,52 @@
       ...opts,
       headers: {
         "Content-Type": "application/json",
+        ...(await authHeaders()),
         ...(opts.headers || {})
       }
     });
     if (!res.ok) {
       const t = await res.text().catch(() => "");
-      throw new Error(`API ${res.status}: ${t || res.statusText}`);
+      let body = null;
+      try { body = JSON.parse(t); } catch {}
+      const err = new Error(errorMessage(res.status, body, t || res.statusText));
+      // Callers that care about structured errors (e.g. quota 429s) read these instead of the message.
+      err.status = res.status;
+      err.code = body?.code || "";
+      err.body = body;
+      throw err;
     }
     const ct = res.headers.get("content-type") || "";
     return ct.includes("application/json") ? res.json() : res.text();
   }
 
+  // Worker error codes (stable) -> what the user is told. Validation errors carry their own specifics.
+  const ERROR_MESSAGES = {
+    validation: (b) => b.error || "Some values were rejected.",
+    unauthorized: () => "Your sign-in has expired. Sign in again.",
+    insufficient_points: (b) => `Not enough points: this needs ${b.required}, you have ${b.balance}.`,
+    not_found: () => "Not found. It may have expired or been deleted.",
+    rate_limited: (b) => `Too many requests. Try again in ${b.retry_after ? `${b.retry_after}s` : "a moment"}.`,
+    auth_failed: () => "The Worker can't sign in to GitHub. Ask the admin to check its GitHub credentials.",
+    upstream_unavailable: () => "GitHub or Firebase isn't responding. Try again in a minute.",
+    internal: () => "Something went wrong on the Worker."
+  };
+
+  function errorMessage(status, body, raw) {
+    if (body?.code?.startsWith("quota_")) return quotaMessage(body);
+    if (body?.code && ERROR_MESSAGES[body.code]) return ERROR_MESSAGES[body.code](body);
+    return body?.error || `API ${status}: ${raw}`;
+  }
+
+  async function authHeaders() {
+    // getIdToken() returns the cached token and refreshes it when close to expiry.
+    if (!fb.user) return {};
+    return { Authorization: `Bearer ${await fb.user.getIdToken()}` };
+  }
+
   // ===== Firebase RTDB (vanilla compat) =====
   let fb = { ready: false, user: null, db: null };
-  let unsubUser = null;
+  let unsubWallet = null;
   let unsubVps = null;
 
   const localFallback = {
@@ -368,6 +428,8 @@
       if (!user) {
         detachRealtime();
         renderAuthUnauthed(false);
+        loadSnapshots().catch(() => {});
+        loadAudit().catch(() => {});
         // demo points until login
         toast("Logged out.");
         return;
@@ -382,7 +444,6 @@
         await uRef.set({
           displayName: user.displayName || "User",
           email: user.email || "",
-          pointsBalance: 0,
           createdAt: now(),
           updatedAt: now()
         });
@@ -391,28 +452,31 @@
       }
 
       attachRealtime(user.uid);
+      loadSnapshots().catch(() => {});
+      loadAudit().catch(() => {});
       toast("Synced with Firebase.");
     });
   }
 
   function detachRealtime() {
-    try { unsubUser?.(); } catch {}
+    try { unsubWallet?.(); } catch {}
     try { unsubVps?.(); } catch {}
-    unsubUser = null;
+    closeRunStreams();
+    unsubWallet = null;
     unsubVps = null;
   }
 
   function attachRealtime(uid) {
     detachRealtime();
 
-    const uRef = fb.db.ref(`users/${uid}`);
+    // wallets/<uid> is read-only for the client; the Worker owns balance + cooldowns.
+    const wRef = fb.db.ref(`wallets/${uid}`);
     const vRef = fb.db.ref(`vps/${uid}`);
 
-    const onUser = uRef.on("value", (s) => {
-      const v = s.val() || null;
-      if (!v) return;
-      model.pointsBalance = Number(v.pointsBalance || 0);
+    const onWallet = wRef.on("value", (s) => {
+      applyWallet(s.val());
       renderTop();
+      renderTasks();
       renderAccountPoints();
     });
 
@@ -423,9 +487,10 @@
       renderSessions();
       renderStats();
       renderTop();
+      syncRunStreams();
     });
 
-    unsubUser = () => uRef.off("value", onUser);
+    unsubWallet = () => wRef.off("value", onWallet);
     unsubVps = () => vRef.off("value", onVps);
   }
 
@@ -448,6 +513,16 @@
     el.registerForm.classList.add("is-hidden");
   }
 
+  function applyWallet(w) {
+    const today = utcDateKey();
+    model.pointsBalance = Number(w?.balance || 0);
+    model.cooldown = {
+      videoUntil: Number(w?.cooldown?.videoUntil || 0),
+      shortUntil: Number(w?.cooldown?.shortUntil || 0)
+    };
+    model.daily.claimed = w?.dailyClaimed === today ? today : "";
+  }
+
   function renderAccountPoints() {
     el.mePoints.textContent = nf.format(model.pointsBalance);
   }
@@ -549,11 +624,11 @@
     });
   }
 
-  // ===== Workflow options sync =====
-  const workflowOptions = { osOptions: [], osDefault: "", languageOptions: [], languageDefault: "" };
+  // ===== Workflow catalog sync =====
+  const catalog = { workflows: [], defaultWorkflow: "", plans: [], defaultPlan: "" };
 
   async function loadWorkflowOptions() {
-    // Prefer Worker (source of truth = repo workflow file), fallback to local YAML, fallback built-in.
+    // Prefer Worker (source of truth = repo workflow files), fallback to local YAML, fallback built-in.
     const fallback = {
       osOptions: [
         "Windows Server 2025 (Docker - 4vCPU | 8GB RAM)",
@@ -567,106 +642,294 @@
 
     try {
       const cfg = await api("/api/config");
-      Object.assign(workflowOptions, cfg);
+      Object.assign(catalog, cfg);
     } catch {
-      // Try local file (same dir)
+      // Try local file (same dir), read with the same parser the Worker uses
+      let local = null;
       try {
         const res = await fetch("./WindowsRDP.yml", { cache: "no-store" });
-        const txt = await res.text();
-        const parsed = parseWorkflowYml(txt);
-        Object.assign(workflowOptions, parsed);
-      } catch {
-        Object.assign(workflowOptions, fallback);
-      }
+        local = localCatalog(WorkflowYaml.parseWorkflow(await res.text()));
+      } catch {}
+      Object.assign(catalog, local || legacyCatalog(fallback));
     }
 
-    // fill selects
-    fillSelect(el.osSelect, workflowOptions.osOptions, workflowOptions.osDefault);
-    fillSelect(el.langSelect, workflowOptions.languageOptions, workflowOptions.languageDefault);
+    fillSelect(el.workflowSelect, catalog.workflows.map((w) => w.id), catalog.defaultWorkflow);
+    for (const o of el.workflowSelect.options) o.textContent = findWorkflow(o.value)?.label || o.value;
+    renderWorkflowInputs();
   }
 
-  function fillSelect(selectEl, options, def) {
-    selectEl.innerHTML = "";
-    for (const opt of options || []) {
-      const o = document.createElement("option");
-      o.value = opt;
-      o.textContent = opt;
-      selectEl.appendChild(o);
-    }
-    if (def && options?.includes(def)) selectEl.value = def;
-  }
-
-  function parseWorkflowYml(txt) {
-    // targeted parser (for this workflow)
-    const getBlock = (name) => {
-      const lines = txt.split(/\r?\n/);
-      let start = -1;
-      let indent = 0;
-      for (let i = 0; i < lines.length; i++) {
-        const m = lines[i].match(/^(\s*)([A-Za-z0-9_]+):\s*$/);
-        if (m && m[2] === name) {
-          start = i;
-          indent = m[1].length;
-          break;
-        }
+  function legacyCatalog(opts) {
+    // Single Windows entry shaped like the Worker's /api/config.
+    return {
+      defaultWorkflow: "windows",
+      workflows: [{
+        id: "windows",
+        label: "Windows RDP",
+        timeoutMinutes: opts.timeoutMinutes,
+        inputs: [
+          { name: "os_version", label: "Operating System", type: "choice", required: true, options: opts.osOptions, default: opts.osDefault },
+          { name: "language", label: "Language", type: "choice", required: true, options: opts.languageOptions, default: opts.languageDefault }
+        ]
+      }]
+    };
+  }
+
+  // Filled in by the Worker (VM size comes from the plan), never shown in the form.
+  const WORKER_INPUTS = ["password", "dispatch_id", "snapshot_id", "restore_run_id", "cpu_cores", "ram_size", "disk_size"];
+
+  function localCatalog(parsed) {
+    // Parsed workflow file -> the same typed entry /api/config would serve (minus Worker-only inputs).
+    const inputs = parsed.inputs
+      .filter((d) => !WORKER_INPUTS.includes(d.name))
+      .map((d) => {
+        const type = ["string", "choice", "boolean", "number"].includes(d.type) ? d.type : "string";
+        let def = d.default;
+        if (type === "boolean") def = d.default === "true";
+        if (type === "number") def = d.default === "" ? null : Number(d.default);
+        return { name: d.name, label: d.description || d.name, type, required: d.required, default: def, options: type === "choice" ? d.options : [] };
+      });
+    if (!inputs.length) return null;
+    return {
+      defaultWorkflow: "windows",
+      workflows: [{ id: "windows", label: parsed.name || "Windows RDP", timeoutMinutes: parsed.timeoutMinutes, inputs }]
+    };
+  }
+
+  function findWorkflow(id) {
+    return catalog.workflows.find((w) => w.id === id) || null;
+  }
+
+  function renderWorkflowInputs() {
+    // One control per input type from the Worker's schema: choice/environment, boolean, number, string.
+    const wf = findWorkflow(el.workflowSelect.value);
+    el.workflowInputs.innerHTML = "";
+    for (const input of wf?.inputs || []) {
+      const id = `wfInput_${input.name}`;
+      const text = `${input.label || input.name}${input.required ? " *" : ""}`;
+
+      if (input.type === "boolean") {
+        const wrap = document.createElement("label");
+        wrap.className = "check";
+        wrap.innerHTML = `<input type="checkbox" id="${id}" data-input="${escapeHtml(input.name)}" data-type="boolean" /><span>${escapeHtml(text)}</span>`;
+        wrap.querySelector("input").checked = input.default === true;
+        const row = document.createElement("div");
+        row.className = "row";
+        row.appendChild(wrap);
+        el.workflowInputs.appendChild(row);
+        continue;
       }
-      if (start < 0) return [];
-      const out = [];
-      for (let i = start + 1; i < lines.length; i++) {
-        const ln = lines[i];
-        const leading = (ln.match(/^(\s*)/) || ["", ""])[1].length;
-        if (leading <= indent && ln.trim().endsWith(":")) break;
-        out.push(ln);
+
+      const label = document.createElement("label");
+      label.className = "label";
+      label.htmlFor = id;
+      label.textContent = text;
+
+      let field;
+      if (input.type === "choice" || input.type === "environment") {
+        field = document.createElement("select");
+        const opts = input.required ? input.options : ["", ...input.options];
+        fillSelect(field, opts, input.default);
+      } else {
+        field = document.createElement("input");
+        field.type = input.type === "number" ? "number" : "text";
+        field.value = input.default ?? "";
       }
-      return out;
-    };
+      field.className = "input";
+      field.id = id;
+      field.dataset.input = input.name;
+      field.dataset.type = input.type;
+      field.required = !!input.required;
 
-    const parseInput = (inputName) => {
-      const block = getBlock(inputName);
-      let def = "";
-      const opts = [];
-      let inOpts = false;
-      let optIndent = 0;
-
-      for (const ln of block) {
-        const mDef = ln.match(/^\s*default:\s*(.+)\s*$/);
-        if (mDef) def = stripQuotes(mDef[1].trim());
-
-        const mOpt = ln.match(/^(\s*)options:\s*$/);
-        if (mOpt) {
-          inOpts = true;
-          optIndent = mOpt[1].length;
-          continue;
-        }
-        if (inOpts) {
-          const leading = (ln.match(/^(\s*)/) || ["", ""])[1].length;
-          if (leading <= optIndent) { inOpts = false; continue; }
-          const mItem = ln.trim().match(/^- (.+)$/);
-          if (mItem) opts.push(stripQuotes(mItem[1].trim()));
-        }
+      el.workflowInputs.append(label, field);
+    }
+    renderPlanSelect();
+    renderDiskSelect();
+  }
+
+  function renderPlanSelect() {
+    // Sized workflows: the plan picks CPU/RAM/disk and the price (the Worker enforces both).
+    const wf = findWorkflow(el.workflowSelect.value);
+    el.planField.hidden = !wf?.sized || !catalog.plans.length;
+    if (!el.planField.hidden && !el.planSelect.options.length) {
+      for (const p of catalog.plans) {
+        const o = document.createElement("option");
+        o.value = p.id;
+        o.textContent = `${p.label} • ${p.cpu_cores} vCPU • ${p.ram_size} GB RAM • ${p.disk_size} GB disk • ${p.points} pts`;
+        el.planSelect.appendChild(o);
       }
-      return { def, opts };
-    };
+      el.planSelect.value = catalog.defaultPlan || catalog.plans[0].id;
+    }
+    el.costPoints.textContent = nf.format(selectedCost());
+  }
+
+  function selectedPlan() {
+    return el.planField.hidden ? null : catalog.plans.find((p) => p.id === el.planSelect.value) || null;
+  }
 
-    const os = parseInput("os_version");
-    const lang = parseInput("language");
+  function selectedCost() {
+    return selectedPlan()?.points ?? CFG.redeemPoints;
+  }
 
-    const timeout = (() => {
-      const m = txt.match(/timeout-minutes:\s*(\d+)/);
-      return m ? Number(m[1]) : 360;
-    })();
+  // ===== Persistent disks =====
+  const disks = { list: [], limit: 0 };
 
-    return {
-      osOptions: os.opts.length ? os.opts : undefined,
-      osDefault: os.def || undefined,
-      languageOptions: lang.opts.length ? lang.opts : undefined,
-      languageDefault: lang.def || undefined,
-      timeoutMinutes: timeout
+  async function loadSnapshots() {
+    // Snapshots live in the Worker (KV); only signed-in users have any.
+    if (!fb.user) {
+      Object.assign(disks, { list: [], limit: 0 });
+    } else {
+      const r = await api("/api/snapshots");
+      Object.assign(disks, { list: r.snapshots || [], limit: Number(r.limit || 0) });
+    }
+    renderDisks();
+    renderDiskSelect();
+  }
+
+  function diskInUse(d) {
+    return !!d.locked_by && Number(d.locked_until) > now();
+  }
+
+  function renderDisks() {
+    const supported = catalog.workflows.some((w) => w.persistentDisk);
+    el.disksPanel.hidden = !fb.user || (!supported && !disks.list.length);
+    el.disksLimit.textContent = disks.limit ? `${disks.list.length} / ${disks.limit}` : "";
+    el.disksEmpty.hidden = disks.list.length > 0;
+    el.disksList.innerHTML = "";
+
+    for (const d of disks.list) {
+      const inUse = diskInUse(d);
+      const saved = d.saved_at ? `saved ${new Date(d.saved_at).toLocaleString()}` : "never saved";
+      const expires = d.expires_at ? ` • kept until ${new Date(d.expires_at).toLocaleDateString()}` : "";
+      const li = document.createElement("li");
+      li.className = "mini-item";
+      li.innerHTML = `
+        <span style="display:flex;align-items:center;gap:10px;min-width:0">
+          <span class="mini-dot ${inUse ? "good" : ""}"></span>
+          <span style="min-width:0">
+            <div style="white-space:nowrap;overflow:hidden;text-overflow:ellipsis">${escapeHtml(d.label || d.id)}</div>
+            <div class="muted small">${d.size_bytes ? `${formatBytes(d.size_bytes)} • ` : ""}${saved}${expires}${inUse ? " • in use" : ""}</div>
+          </span>
+        </span>
+        <button class="btn btn-secondary btn-sm" data-disk-del="${escapeHtml(d.id)}" ${inUse ? "disabled" : ""}>Delete</button>
+      `;
+      el.disksList.appendChild(li);
+    }
+
+    el.disksList.onclick = (e) => {
+      const btn = e.target.closest("button[data-disk-del]");
+      if (btn) deleteSnapshot(btn.dataset.diskDel).catch((err) => toast(err.message || String(err)));
+    };
+  }
+
+  function renderDiskSelect() {
+    // Throwaway (default), a new persistent disk, or restore one of the user's disks for this workflow.
+    const wf = findWorkflow(el.workflowSelect.value);
+    el.diskField.hidden = !fb.user || !wf?.persistentDisk;
+    if (el.diskField.hidden) return;
+
+    const prev = el.diskSelect.value;
+    el.diskSelect.innerHTML = "";
+    const add = (value, text, disabled = false) => {
+      const o = document.createElement("option");
+      o.value = value;
+      o.textContent = text;
+      o.disabled = disabled;
+      el.diskSelect.appendChild(o);
     };
+    add("", "Throwaway disk (lost when the session ends)");
+    add("new", "New persistent disk", disks.limit > 0 && disks.list.length >= disks.limit);
+    for (const d of disks.list.filter((x) => !x.workflow || x.workflow === wf.id)) {
+      const meta = d.saved_at ? `${formatBytes(d.size_bytes)}, ${new Date(d.saved_at).toLocaleDateString()}` : "never saved";
+      add(d.id, `Restore: ${d.label || d.id} (${meta})${diskInUse(d) ? " — in use" : ""}`, diskInUse(d));
+    }
+    const keep = [...el.diskSelect.options].find((o) => o.value === prev && !o.disabled);
+    el.diskSelect.value = keep ? prev : "";
+  }
+
+  async function deleteSnapshot(id) {
+    const d = disks.list.find((x) => x.id === id);
+    if (!d || !confirm(`Delete disk "${d.label || d.id}"? Its saved data is removed from GitHub.`)) return;
+    await api(`/api/snapshots/${encodeURIComponent(id)}`, { method: "DELETE" });
+    toast("Disk deleted.");
+    await loadSnapshots();
+  }
+
+  function formatBytes(n) {
+    const units = ["B", "KB", "MB", "GB", "TB"];
+    let v = Number(n) || 0;
+    let i = 0;
+    while (v >= 1024 && i < units.length - 1) { v /= 1024; i++; }
+    return `${v.toFixed(i ? 1 : 0)} ${units[i]}`;
+  }
+
+  // ===== Audit log (admins) =====
+  const audit = { entries: [], cursor: null };
+
+  function auditQuery(cursor) {
+    const q = new URLSearchParams({ limit: "50" });
+    const uid = el.auditUid.value.trim();
+    const run = el.auditRun.value.trim();
+    if (uid) q.set("uid", uid);
+    if (run) q.set("run_id", run);
+    // Date inputs are whole UTC days; "to" covers the end of that day.
+    if (el.auditFrom.value) q.set("from", `${el.auditFrom.value}T00:00:00.000Z`);
+    if (el.auditTo.value) q.set("to", `${el.auditTo.value}T23:59:59.999Z`);
+    if (cursor) q.set("cursor", cursor);
+    return q.toString();
+  }
+
+  async function loadAudit({ more = false } = {}) {
+    // The Worker answers 403 for anyone outside ADMIN_UIDS; the panel simply stays hidden for them.
+    if (!fb.user) {
+      Object.assign(audit, { entries: [], cursor: null });
+      el.auditPanel.hidden = true;
+      return;
+    }
+    let r;
+    try {
+      r = await api(`/api/audit?${auditQuery(more ? audit.cursor : null)}`);
+    } catch (err) {
+      if (el.auditPanel.hidden) return;
+      throw err;
+    }
+    audit.entries = more ? audit.entries.concat(r.entries || []) : (r.entries || []);
+    audit.cursor = r.cursor || null;
+    el.auditPanel.hidden = false;
+    renderAudit();
+  }
+
+  function renderAudit() {
+    el.auditEmpty.hidden = audit.entries.length > 0;
+    el.btnAuditMore.hidden = !audit.cursor;
+    el.auditList.innerHTML = "";
+
+    for (const e of audit.entries) {
+      const ok = e.result === "ok";
+      const who = [e.uid, e.run_id ? `run ${e.run_id}` : "", e.ip, e.user_agent].filter(Boolean).join(" • ");
+      const li = document.createElement("li");
+      li.className = "mini-item";
+      li.innerHTML = `
+        <span style="display:flex;align-items:center;gap:10px;min-width:0">
+          <span class="mini-dot ${ok ? "good" : ""}"></span>
+          <span style="min-width:0">
+            <div style="white-space:nowrap;overflow:hidden;text-overflow:ellipsis">${escapeHtml(e.action)} — ${escapeHtml(e.result)}${e.detail ? ` • ${escapeHtml(e.detail)}` : ""}</div>
+            <div class="muted small" style="white-space:nowrap;overflow:hidden;text-overflow:ellipsis">${escapeHtml(who)}</div>
+          </span>
+        </span>
+        <span class="muted small">${new Date(e.ts).toLocaleString()}</span>
+      `;
+      el.auditList.appendChild(li);
+    }
   }
 
-  function stripQuotes(s) {
-    return s.replace(/^"(.*)"$/, "$1").replace(/^'(.*)'$/, "$1");
+  function collectWorkflowInputs() {
+    const inputs = {};
+    for (const f of $$("[data-input]", el.workflowInputs)) {
+      if (f.dataset.type === "boolean") inputs[f.dataset.input] = f.checked;
+      else if (f.dataset.type === "number") inputs[f.dataset.input] = f.value === "" ? "" : Number(f.value);
+      else inputs[f.dataset.input] = f.value;
+    }
+    return inputs;
   }
 
   // ===== Earn tasks (simple) =====
@@ -740,13 +1003,9 @@
 
       await sleep(800 + Math.random() * 500);
 
-      const reward = CFG.tasks[type].reward;
-      await addPoints(reward, `Task: ${type}`);
+      const reward = await earnTask(type);
 
       model.daily.earned += reward;
-      if (type === "daily") model.daily.claimed = today;
-      if (type === "video") model.cooldown.videoUntil = now() + CFG.tasks.video.cooldownSec * 1000;
-      if (type === "short") model.cooldown.shortUntil = now() + CFG.tasks.short.cooldownSec * 1000;
 
       pushActivity(`${type} +${reward}`, reward);
 
@@ -761,16 +1020,24 @@
     }
   }
 
-  async function addPoints(delta, reason) {
-    if (!isFirebaseConfigured()) {
-      model.pointsBalance += delta;
-      persistDemo();
-      return;
+  async function earnTask(type) {
+    // Real accounts: the Worker checks cooldown/daily rules and credits the wallet.
+    if (isFirebaseConfigured()) {
+      const res = await api("/api/points/award", {
+        method: "POST",
+        body: JSON.stringify({ task: type })
+      });
+      applyWallet(res.wallet);
+      return Number(res.reward || 0);
     }
-    const uid = fb.user.uid;
-    const ref = fb.db.ref(`users/${uid}/pointsBalance`);
-    await ref.transaction((cur) => Math.max(0, Number(cur || 0) + delta));
-    // ledger optional (keep simple)
+
+    const reward = CFG.tasks[type].reward;
+    model.pointsBalance += reward;
+    if (type === "daily") model.daily.claimed = utcDateKey();
+    if (type === "video") model.cooldown.videoUntil = now() + CFG.tasks.video.cooldownSec * 1000;
+    if (type === "short") model.cooldown.shortUntil = now() + CFG.tasks.short.cooldownSec * 1000;
+    persistDemo();
+    return reward;
   }
 
   function pushActivity(label, delta) {
@@ -796,7 +1063,23 @@
   }
 
   function escapeHtml(s) {
-    return String(s).replaceAll("&", "&amp;").replaceAll("<", "&lt;").replaceAll(">", "&gt;");
+    // Safe in text and in quoted attribute values.
+    return String(s)
+      .replaceAll("&", "&amp;")
+      .replaceAll("<", "&lt;")
+      .replaceAll(">", "&gt;")
+      .replaceAll('"', "&quot;")
+      .replaceAll("'", "&#39;");
+  }
+
+  function webUrl(address) {
+    // Only http(s) URLs become links: an endpoint reported by the run is not trusted to be one.
+    try {
+      const u = new URL(String(address));
+      return u.protocol === "http:" || u.protocol === "https:" ? u.href : "";
+    } catch {
+      return "";
+    }
   }
 
   // ===== Sessions (Firebase RTDB) =====
@@ -812,6 +1095,12 @@
     x.lastTickMs = Number(x.lastTickMs ?? x.updatedAt);
     x.expiresAt = Number(x.expiresAt || (x.createdAt + CFG.sessionSeconds * 1000));
     x.runId = x.runId || "";
+    // Extended sessions are a chain of runs; runId is always the newest one.
+    x.runIds = Object.values(x.runIds || {});
+    if (!x.runIds.length && x.runId) x.runIds = [x.runId];
+    x.pendingDispatchId = x.pendingDispatchId || "";
+    // Extensions cost the same as the session's plan (older sessions: the flat price).
+    x.cost = Number(x.cost || CFG.extendPoints);
     x.connection = x.connection || null;
     return x;
   }
@@ -821,10 +1110,16 @@
     if (s.status === "stopped" || s.status === "canceled" || s.status === "failed" || s.status === "completed") {
       return Math.max(0, Math.floor((s.expiresAt - s.lastTickMs) / 1000));
     }
-    // running/provisioning: compute from now
+    // running/provisioning/stopping: compute from now
     return Math.max(0, Math.floor((s.expiresAt - now()) / 1000));
   }
 
+  function canExtend(s) {
+    if (!s.runId || s.pendingDispatchId) return false;
+    if (s.status !== "running" && s.status !== "provisioning") return false;
+    return sessionTimeLeft(s) <= CFG.extendWindowSec;
+  }
+
   function renderSessions() {
     const q = (el.searchSessions.value || "").trim().toLowerCase();
     const list = model.sessions.filter((s) => {
@@ -853,8 +1148,10 @@
         <td>${s.runId ? `<code>${escapeHtml(String(s.runId))}</code>` : `<span class="muted">—</span>`}</td>
         <td style="white-space:nowrap">
           <button class="btn btn-secondary btn-sm" data-act="conn" data-id="${s.id}" ${s.runId ? "" : "disabled"}>Connection</button>
+          <button class="btn btn-secondary btn-sm" data-act="logs" data-id="${s.id}" ${s.runId ? "" : "disabled"}>Logs</button>
           <button class="btn btn-secondary btn-sm" data-act="sync" data-id="${s.id}" ${s.runId ? "" : "disabled"}>Sync</button>
-          <button class="btn btn-secondary btn-sm" data-act="stop" data-id="${s.id}" ${s.runId ? "" : "disabled"}>Stop</button>
+          <button class="btn btn-secondary btn-sm" data-act="extend" data-id="${s.id}" ${canExtend(s) ? "" : "disabled"} title="${extendTitle(s)}">Extend</button>
+          <button class="btn btn-secondary btn-sm" data-act="stop" data-id="${s.id}" ${s.runId ? "" : "disabled"}>${s.status === "stopping" ? "Force stop" : "Stop"}</button>
         </td>
       `;
       el.sessionsBody.appendChild(tr);
@@ -871,10 +1168,12 @@
           </div>
           <div class="row" style="flex-wrap:wrap">
             <button class="btn btn-secondary btn-sm" data-act="conn" data-id="${s.id}" ${s.runId ? "" : "disabled"}>Connection</button>
+            <button class="btn btn-secondary btn-sm" data-act="logs" data-id="${s.id}" ${s.runId ? "" : "disabled"}>Logs</button>
             <button class="btn btn-secondary btn-sm" data-act="sync" data-id="${s.id}" ${s.runId ? "" : "disabled"}>Sync</button>
-            <button class="btn btn-secondary btn-sm" data-act="stop" data-id="${s.id}" ${s.runId ? "" : "disabled"}>Stop</button>
+            <button class="btn btn-secondary btn-sm" data-act="extend" data-id="${s.id}" ${canExtend(s) ? "" : "disabled"} title="${extendTitle(s)}">Extend</button>
+            <button class="btn btn-secondary btn-sm" data-act="stop" data-id="${s.id}" ${s.runId ? "" : "disabled"}>${s.status === "stopping" ? "Force stop" : "Stop"}</button>
           </div>
-          <div class="muted small" style="margin-top:8px">Run: ${s.runId ? escapeHtml(String(s.runId)) : "—"}</div>
+          <div class="muted small" style="margin-top:8px">Run: ${s.runId ? escapeHtml(String(s.runId)) : "—"}${s.runIds.length > 1 ? ` (part ${s.runIds.length})` : ""}</div>
         </div>
       `);
     }
@@ -898,10 +1197,17 @@
 
       if (act === "sync") syncSession(s).catch((err) => toast(err.message || String(err)));
       if (act === "stop") stopSession(s).catch((err) => toast(err.message || String(err)));
+      if (act === "extend") extendSession(s).catch((err) => toast(err.message || String(err)));
       if (act === "conn") openConnection(s);
+      if (act === "logs") openLogs(s);
     };
   }
 
+  function extendTitle(s) {
+    if (s.pendingDispatchId) return "Continuation run starting…";
+    return `+${Math.round(CFG.sessionSeconds / 3600)}h for ${s.cost} pts, in the last ${CFG.extendWindowSec / 60} min`;
+  }
+
   function stripHtml(html) {
     const d = document.createElement("div");
     d.innerHTML = html;
@@ -912,6 +1218,7 @@
     const s = String(status || "").toLowerCase();
     if (s === "running") return `<span class="pill pill-good">Running</span>`;
     if (s === "provisioning" || s === "queued" || s === "in_progress") return `<span class="pill pill-warn">Provisioning</span>`;
+    if (s === "stopping") return `<span class="pill pill-warn">Stopping…</span>`;
     if (s === "stopped" || s === "canceled") return `<span class="pill pill-soft">Stopped</span>`;
     if (s === "completed") return `<span class="pill pill-soft">Completed</span>`;
     if (s === "failed") return `<span class="pill pill-bad">Failed</span>`;
@@ -920,7 +1227,7 @@
 
   function renderStats() {
     const total = model.sessions.length;
-    const active = model.sessions.filter((s) => s.status === "running" || s.status === "provisioning").length;
+    const active = model.sessions.filter((s) => s.status === "running" || s.status === "provisioning" || s.status === "stopping").length;
     el.statTotal.textContent = String(total);
     el.statActive.textContent = String(active);
 
@@ -963,61 +1270,117 @@
   async function openCreate() {
     if (!requireLoginOrDemo()) return;
     el.createHint.textContent = "";
+    loadSnapshots().catch(() => {});
+    loadQuota().catch(() => { el.quotaHint.hidden = true; });
     openModal(el.createModal);
   }
 
+  async function loadQuota() {
+    // Usage summary under the form; the Worker enforces the limits either way.
+    if (!fb.user) {
+      el.quotaHint.hidden = true;
+      return;
+    }
+    const q = await api("/api/quota");
+    const parts = [];
+    if (q.limits.concurrent) parts.push(`${q.used.concurrent}/${q.limits.concurrent} running`);
+    if (q.limits.daily_dispatches) parts.push(`${q.used.daily_dispatches}/${q.limits.daily_dispatches} today`);
+    if (q.limits.monthly_minutes) parts.push(`${nf.format(q.used.monthly_minutes)}/${nf.format(q.limits.monthly_minutes)} min this month`);
+    showQuotaHint(parts.length ? `Limits: ${parts.join(" • ")}` : "");
+  }
+
+  function showQuotaHint(text) {
+    el.quotaHint.textContent = text;
+    el.quotaHint.hidden = !text;
+  }
+
+  function quotaMessage(q) {
+    const at = new Date(q.resets_at).toLocaleString();
+    if (q.code === "quota_concurrent") {
+      return `You already have ${q.used} of ${q.limit} sessions running. Stop one, or wait until ${at} at the latest.`;
+    }
+    if (q.code === "quota_daily") {
+      return `You started ${q.used} of ${q.limit} sessions allowed today (UTC). More from ${at}.`;
+    }
+    if (q.code === "quota_monthly") {
+      return `This session needs ${q.requested} runner minutes, but only ${Math.max(0, q.limit - q.used)} of ${q.limit} are left this month. Resets ${at}.`;
+    }
+    return q.error || "Limit reached";
+  }
+
   async function createSession() {
     if (!requireLoginOrDemo()) return;
     el.btnCreateConfirm.disabled = true;
     el.createHint.textContent = "Dispatching…";
 
     try {
+      const wf = findWorkflow(el.workflowSelect.value);
+      if (!wf) throw new Error("Pick a workflow");
+      const plan = selectedPlan();
+      const cost = selectedCost();
+
       // Points check
-      if (model.pointsBalance < CFG.redeemPoints) {
-        toast(`Need ${CFG.redeemPoints - model.pointsBalance} more points`);
+      if (model.pointsBalance < cost) {
+        toast(`Need ${cost - model.pointsBalance} more points`);
         return;
       }
 
-      const osVersion = el.osSelect.value;
-      const language = el.langSelect.value;
-
-      // Spend points locally first to feel instant, then persist.
-      await addPoints(-CFG.redeemPoints, "Redeem session");
+      const inputs = collectWorkflowInputs();
 
+      // The Worker debits the wallet atomically before dispatching (refunds if GitHub refuses).
+      // It also keeps the session id, so its cron can finish the record if this tab goes away.
+      const disk = el.diskField.hidden ? "" : el.diskSelect.value;
+      const sessionId = crypto.randomUUID();
       const dispatched = await api("/api/dispatch", {
         method: "POST",
-        body: JSON.stringify({ os_version: osVersion, language })
+        body: JSON.stringify({ workflow: wf.id, inputs, disk, session_id: sessionId, ...(plan ? { plan: plan.id } : {}) })
       });
+      if (!isFirebaseConfigured()) {
+        model.pointsBalance -= cost;
+        persistDemo();
+      }
 
       const session = normalizeSession({
-        id: crypto.randomUUID(),
-        osVersion,
-        language,
+        id: sessionId,
+        workflow: wf.id,
+        workflowLabel: wf.label,
+        inputs,
+        osVersion: inputs.os_version || wf.label,
+        language: inputs.language || "—",
         status: "provisioning",
         createdAt: now(),
         updatedAt: now(),
-        expiresAt: now() + CFG.sessionSeconds * 1000,
+        expiresAt: Number(dispatched.expires_at) || now() + CFG.sessionSeconds * 1000,
         runId: dispatched.run_id ? String(dispatched.run_id) : "",
+        runIds: dispatched.run_id ? [String(dispatched.run_id)] : [],
+        snapshotId: dispatched.snapshot_id || "",
+        plan: dispatched.plan || "",
+        cost: Number(dispatched.cost ?? cost),
         workflowUrl: dispatched.html_url || "",
         timeLeftSec: CFG.sessionSeconds,
         lastTickMs: now()
       });
 
       await saveSession(session);
-      pushActivity("Redeemed session -300", -CFG.redeemPoints);
+      pushActivity(`Redeemed session -${session.cost}`, -session.cost);
       uiState.sessionEarned = Number(uiState.sessionEarned || 0) + 0;
       saveUIState();
 
       toast("Workflow dispatched.");
       closeModal(el.createModal);
+      if (disk) loadSnapshots().catch(() => {});
 
       // Try resolve run_id if not immediately available
       if (!session.runId && dispatched.dispatch_id) {
         await resolveRunIdForSession(session.id, dispatched.dispatch_id);
       }
     } catch (err) {
-      toast(err?.message || "Create failed");
-      // rollback points? (optional)
+      if (err?.code?.startsWith("quota_")) {
+        showQuotaHint(err.message);
+        toast(err.body.error);
+      } else {
+        toast(err?.message || "Create failed");
+      }
     } finally {
       el.btnCreateConfirm.disabled = false;
       el.createHint.textContent = "";
@@ -1061,7 +1424,7 @@
       try {
         const r = await api(`/api/dispatch/${encodeURIComponent(dispatchId)}/resolve`);
         if (r.run_id) {
-          await patchSession(sessionId, { runId: String(r.run_id), workflowUrl: r.html_url || "" });
+          await adoptRun(sessionId, String(r.run_id), r.html_url);
           toast("Run ID resolved.");
           return;
         }
@@ -1070,6 +1433,46 @@
     toast("Run ID not found yet. You can Sync later.");
   }
 
+  async function adoptRun(sessionId, runId, htmlUrl) {
+    // Newest run of the chain becomes the session's run (streams, connection, stop follow it).
+    const s = model.sessions.find((x) => x.id === sessionId);
+    const runIds = [...(s?.runIds || []).filter((id) => id !== runId), runId];
+    await patchSession(sessionId, { runId, runIds, pendingDispatchId: "", workflowUrl: htmlUrl || "", status: "provisioning" });
+  }
+
+  async function extendSession(s) {
+    // The Worker dispatches a continuation run (same workflow, inputs, password) and debits points.
+    if (!canExtend(s)) return;
+    if (model.pointsBalance < s.cost) {
+      toast(`Need ${s.cost - model.pointsBalance} more points`);
+      return;
+    }
+
+    const r = await api(`/api/runs/${encodeURIComponent(s.runId)}/extend`, { method: "POST" });
+    if (!isFirebaseConfigured()) {
+      model.pointsBalance -= s.cost;
+      persistDemo();
+    }
+
+    const expiresAt = Math.max(s.expiresAt, Number(r.expires_at) || 0);
+    const password = connPasswords.get(s.runId);
+    if (r.run_id) {
+      if (password) connPasswords.set(String(r.run_id), password);
+      await patchSession(s.id, { expiresAt });
+      await adoptRun(s.id, String(r.run_id), r.html_url);
+    } else {
+      await patchSession(s.id, { expiresAt, pendingDispatchId: r.dispatch_id });
+    }
+    pushActivity(`Extended session -${s.cost}`, -s.cost);
+    toast("Continuation run dispatched.");
+
+    if (!r.run_id && r.dispatch_id) {
+      await resolveRunIdForSession(s.id, r.dispatch_id);
+      const next = model.sessions.find((x) => x.id === s.id);
+      if (password && next?.runId) connPasswords.set(next.runId, password);
+    }
+  }
+
   async function syncSession(s) {
     if (!s.runId) return;
     const run = await api(`/api/runs/${encodeURIComponent(s.runId)}`);
@@ -1089,9 +1492,9 @@
     const st = String(run.status || "").toLowerCase();
     const conc = String(run.conclusion || "").toLowerCase();
 
-    if (st === "queued" || st === "in_progress") return "provisioning";
+    if (st === "queued" || st === "in_progress") return run.stop ? "stopping" : "provisioning";
     if (st === "completed") {
-      if (conc === "cancelled") return "stopped";
+      if (conc === "cancelled" || run.stop) return "stopped";
       if (conc === "failure") return "failed";
       return "completed";
     }
@@ -1099,30 +1502,79 @@
   }
 
   async function stopSession(s) {
+    // Two-phase: the run is asked to shut down (and save its disk); the Worker cancels it after the grace period.
+    // A second click while stopping cancels right away.
     if (!s.runId) return;
-    await api(`/api/runs/${encodeURIComponent(s.runId)}/cancel`, { method: "POST" });
-    await patchSession(s.id, { status: "stopped", lastTickMs: now() });
-    toast("Cancel requested.");
+    const force = s.status === "stopping";
+    if (force && !confirm("Cancel the run now? Unsaved work and disk changes are lost.")) return;
+
+    const action = force ? "cancel" : "stop";
+    const r = await api(`/api/runs/${encodeURIComponent(s.runId)}/${action}`, { method: "POST" });
+    // An earlier run of an extended session may still be inside its overlap window.
+    for (const runId of s.runIds.filter((id) => id !== s.runId)) {
+      await api(`/api/runs/${encodeURIComponent(runId)}/${action}`, { method: "POST" }).catch(() => {});
+    }
+
+    if (force || r.stopped) {
+      await patchSession(s.id, { status: "stopped", lastTickMs: now() });
+      toast("Cancel requested.");
+    } else {
+      await patchSession(s.id, { status: "stopping" });
+      const mins = Math.max(1, Math.round((Number(r.stop?.deadline) - now()) / 60000));
+      toast(`Stopping… the machine shuts down within ${mins} min.`);
+    }
   }
 
   // ===== Connection modal =====
   let currentConnSession = null;
+  // Per-run passwords stay in memory only; RTDB keeps the connection without them.
+  const connPasswords = new Map();
 
   function openConnection(s) {
     currentConnSession = s;
-    setConnFields(s.connection || null);
+    setConnFields(s.connection ? { ...s.connection, password: connPasswords.get(s.runId) } : null);
     el.connHint.textContent = s.runId ? "Fetching latest connection…" : "No run id.";
     openModal(el.connModal);
     if (s.runId) fetchConnection(s).catch((e) => (el.connHint.textContent = e.message || String(e)));
   }
 
   function setConnFields(conn) {
-    el.connRdp.textContent = conn?.rdp || "—";
-    el.connWeb.textContent = conn?.web || "—";
-    el.connUser.textContent = conn?.username || "Admin";
-    el.connPass.textContent = conn?.password || "Window@123456";
-    const href = conn?.web ? (conn.web.startsWith("http") ? conn.web : `http://${conn.web}`) : "#";
-    el.connWebOpen.href = href;
+    el.connUser.textContent = conn?.username || "—";
+    el.connPass.textContent = conn?.password || "—";
+
+    const list = connEndpoints(conn);
+    el.connEndpoints.innerHTML = "";
+    if (!list.length) {
+      el.connEndpoints.innerHTML = `<div class="k">RDP</div><div class="v"><code>—</code></div>`;
+      return;
+    }
+    list.forEach((ep, i) => {
+      const id = `connEp${i}`;
+      const href = ep.protocol === "http" || ep.protocol === "https" ? webUrl(ep.address) : "";
+      const k = document.createElement("div");
+      k.className = "k";
+      k.textContent = ep.label || ENDPOINT_LABELS[ep.protocol] || ep.protocol.toUpperCase();
+      const v = document.createElement("div");
+      v.className = "v";
+      v.innerHTML = `
+        <code id="${id}">${escapeHtml(ep.address)}</code>
+        <button class="btn btn-secondary btn-sm" type="button" data-copy="#${id}">Copy</button>
+        ${href ? `<a class="btn btn-secondary btn-sm" href="${escapeHtml(href)}" target="_blank" rel="noreferrer">Open</a>` : ""}
+        ${ep.client ? `<div class="muted small" style="flex-basis:100%">Run locally first: <code id="${id}c">${escapeHtml(ep.client)}</code> <button class="btn btn-secondary btn-sm" type="button" data-copy="#${id}c">Copy</button></div>` : ""}
+      `;
+      el.connEndpoints.append(k, v);
+    });
+  }
+
+  const ENDPOINT_LABELS = { rdp: "RDP", http: "Web", https: "Web", tcp: "TCP" };
+
+  function connEndpoints(conn) {
+    // Worker connections carry an endpoint list; sessions stored before that have rdp/web.
+    if (Array.isArray(conn?.endpoints)) return conn.endpoints;
+    const list = [];
+    if (conn?.rdp) list.push({ protocol: "rdp", address: conn.rdp });
+    if (conn?.web) list.push({ protocol: "http", address: conn.web.startsWith("http") ? conn.web : `http://${conn.web}` });
+    return list;
   }
 
   async function fetchConnection(s) {
@@ -1130,20 +1582,228 @@
     el.btnFetchConn.disabled = true;
 
     try {
-      const conn = await api(`/api/runs/${encodeURIComponent(s.runId)}/connection`);
-      if (!conn || !conn.rdp) {
+      const conn = await loadConnection(s);
+      if (!conn) {
         el.connHint.textContent = "Not ready yet. Wait a bit and refresh.";
         return;
       }
       setConnFields(conn);
       el.connHint.textContent = "Ready.";
-      await patchSession(s.id, { connection: conn });
       toast("Connection updated.");
     } finally {
       el.btnFetchConn.disabled = false;
     }
   }
 
+  async function loadConnection(s) {
+    const conn = await api(`/api/runs/${encodeURIComponent(s.runId)}/connection`);
+    if (!connEndpoints(conn).length) return null;
+    const { password, ...stored } = conn;
+    if (password) connPasswords.set(s.runId, password);
+    await patchSession(s.id, { connection: stored, ...(s.status === "provisioning" ? { status: "running" } : {}) });
+    return conn;
+  }
+
+  // ===== Run logs drawer =====
+  // Polls while the run is going and the drawer is open; the first poll after closing ends it.
+  const LOGS_REFRESH_MS = 10_000;
+  const LOGS_LINES = 200;
+  const LOG_REASONS = {
+    pending: "This step hasn't started yet.",
+    running: "GitHub publishes this job's log once the job finishes.",
+    not_found: "GitHub has no log for this step.",
+    too_large: "This log is too large to show here. Open the run on GitHub.",
+    budget: "GitHub API budget is low; logs load again in a few minutes."
+  };
+  let logsView = null; // { runId, job, step, shown, timer }
+
+  function openLogs(s) {
+    if (!s.runId) return;
+    clearTimeout(logsView?.timer);
+    logsView = { runId: s.runId, job: "", step: "", shown: "", timer: null };
+    el.logsSubtitle.textContent = `${s.osVersion || "Session"} • run ${s.runId}`;
+    el.logsSteps.innerHTML = "";
+    el.logsText.textContent = "";
+    el.logsHint.textContent = "Loading logs…";
+    openModal(el.logsModal);
+    refreshLogs();
+  }
+
+  function refreshLogs() {
+    const view = logsView;
+    if (!view) return;
+    clearTimeout(view.timer);
+    loadLogs(view).catch((e) => {
+      if (view === logsView) el.logsHint.textContent = e.message || String(e);
+    });
+  }
+
+  async function loadLogs(view) {
+    const q = new URLSearchParams({ lines: String(LOGS_LINES) });
+    if (view.job) q.set("job", view.job);
+    if (view.step) q.set("step", view.step);
+    const data = await api(`/api/runs/${encodeURIComponent(view.runId)}/logs?${q}`);
+    if (view !== logsView) return;
+    renderLogs(view, data);
+
+    const going = data.status !== "completed" || data.jobs.some((j) => j.status !== "completed");
+    if (going) {
+      view.timer = setTimeout(() => {
+        if (el.logsModal.getAttribute("aria-hidden") !== "true") return refreshLogs();
+        if (view === logsView) logsView = null;
+      }, LOGS_REFRESH_MS);
+    }
+  }
+
+  function renderLogs(view, data) {
+    const log = data.log;
+    el.logsSteps.innerHTML = "";
+    for (const job of data.jobs) {
+      const head = document.createElement("li");
+      head.className = "log-job";
+      head.textContent = `${job.name} • ${runStepLabel(job)}`;
+      el.logsSteps.appendChild(head);
+
+      for (const st of job.steps) {
+        const active = log && log.job_id === job.id && log.step === st.number;
+        const dot = st.conclusion === "success" ? "good" : st.conclusion === "failure" || st.conclusion === "cancelled" ? "bad" : "";
+        const li = document.createElement("li");
+        li.innerHTML = `
+          <button type="button" class="mini-item log-step${active ? " is-active" : ""}" data-job="${job.id}" data-step="${st.number}">
+            <span style="display:flex;align-items:center;gap:10px;min-width:0"><span class="mini-dot ${dot}"></span>${escapeHtml(st.name)}</span>
+            <span class="mini-right">${escapeHtml(runStepLabel(st))}</span>
+          </button>
+        `;
+        el.logsSteps.appendChild(li);
+      }
+    }
+    if (!data.jobs.length) el.logsSteps.innerHTML = `<li class="mini-item"><span class="muted">No jobs yet. The run is queued.</span></li>`;
+
+    // Stay pinned to the bottom while tailing, unless the user scrolled up to read.
+    const pre = el.logsText;
+    const key = log ? `${log.job_id}:${log.step}` : "";
+    const pinned = key !== view.shown || pre.scrollTop + pre.clientHeight >= pre.scrollHeight - 8;
+    pre.textContent = log?.available ? log.lines.join("\n") : "";
+    if (pinned) pre.scrollTop = pre.scrollHeight;
+    view.shown = key;
+
+    if (!log) el.logsHint.textContent = "";
+    else if (!log.available) el.logsHint.textContent = LOG_REASONS[log.reason] || "No log for this step.";
+    else el.logsHint.textContent = `${log.name}${log.truncated ? ` • last ${log.lines.length} lines` : ""}`;
+  }
+
+  function runStepLabel(x) {
+    // job or step -> "success • 00:01:12", "running • 00:00:40", "queued"
+    const state = x.status === "completed" ? x.conclusion || "done" : x.status === "in_progress" ? "running" : x.status;
+    return x.duration_ms == null ? state : `${state} • ${formatHHMMSS(Math.round(x.duration_ms / 1000))}`;
+  }
+
+  // ===== Live run events (SSE over fetch, so the auth header can be sent) =====
+  const runStreams = new Map(); // runId -> AbortController
+
+  function syncRunStreams() {
+    const wanted = new Set(
+      model.sessions
+        .filter((s) => s.runId && (s.status === "provisioning" || s.status === "running" || s.status === "stopping"))
+        .map((s) => String(s.runId))
+    );
+    for (const [runId, ctrl] of runStreams) {
+      if (!wanted.has(runId)) { ctrl.abort(); runStreams.delete(runId); }
+    }
+    if (!fb.user) return;
+    for (const runId of wanted) {
+      if (!runStreams.has(runId)) runStreams.set(runId, openRunStream(runId));
+    }
+  }
+
+  function closeRunStreams() {
+    for (const ctrl of runStreams.values()) ctrl.abort();
+    runStreams.clear();
+  }
+
+  function openRunStream(runId) {
+    const ctrl = new AbortController();
+    (async () => {
+      let delay = 1000;
+      while (!ctrl.signal.aborted) {
+        try {
+          const res = await fetch(`${getWorkerBase()}/api/runs/${encodeURIComponent(runId)}/events`, {
+            headers: { Accept: "text/event-stream", ...(await authHeaders()) },
+            signal: ctrl.signal
+          });
+          if (res.status === 403 || res.status === 404) return; // not ours / not a stream: don't retry
+          if (res.status === 429) {
+            // rate limited: wait as long as the Worker asks
+            await sleep((Number(res.headers.get("Retry-After")) || 5) * 1000);
+            continue;
+          }
+          if (!res.ok || !res.body) throw new Error(`SSE ${res.status}`);
+          delay = 1000;
+          const ended = await readEventStream(res.body, (event, data) => onRunEvent(runId, event, data));
+          if (ended) return;
+          continue; // server closed a long-lived stream: reconnect right away
+        } catch {
+          if (ctrl.signal.aborted) return;
+        }
+        await sleep(delay + Math.random() * 500);
+        delay = Math.min(delay * 2, 30000);
+      }
+    })();
+    return ctrl;
+  }
+
+  async function readEventStream(body, onEvent) {
+    // Minimal text/event-stream parser; resolves true once the server sends "end".
+    const reader = body.pipeThrough(new TextDecoderStream()).getReader();
+    let buf = "";
+    for (;;) {
+      const { value, done } = await reader.read();
+      if (done) return false;
+      buf += value;
+      let idx;
+      while ((idx = buf.indexOf("\n\n")) >= 0) {
+        const block = buf.slice(0, idx);
+        buf = buf.slice(idx + 2);
+        let event = "message";
+        let data = "";
+        for (const line of block.split("\n")) {
+          if (line.startsWith("event:")) event = line.slice(6).trim();
+          else if (line.startsWith("data:")) data += line.slice(5).trim();
+        }
+        if (!data) continue;
+        if (event === "end") return true;
+        try { onEvent(event, JSON.parse(data)); } catch {}
+      }
+    }
+  }
+
+  function onRunEvent(runId, event, data) {
+    const s = model.sessions.find((x) => String(x.runId) === runId);
+    if (!s) return;
+
+    if (event === "status" && data.state && data.state !== s.status) {
+      const final = data.state === "stopped" || data.state === "failed" || data.state === "completed";
+      patchSession(s.id, { status: data.state, ...(final ? { lastTickMs: now() } : {}) }).catch(() => {});
+    }
+
+    if (event === "connection" && (!s.connection || s.status !== "running")) {
+      loadConnection(s)
+        .then((conn) => {
+          if (conn && currentConnSession?.id === s.id && el.connModal.getAttribute("aria-hidden") === "false") {
+            setConnFields(conn);
+            el.connHint.textContent = "Ready.";
+          }
+        })
+        .catch(() => {});
+    }
+
+    // Only persist when the Worker's clock disagrees noticeably; the 1s tick renders the countdown.
+    // While a continuation run is starting, the old run's expiry is no longer the session's.
+    if (event === "remaining" && !s.pendingDispatchId && data.expires_at && Math.abs(data.expires_at - s.expiresAt) > 60_000) {
+      patchSession(s.id, { expiresAt: data.expires_at }).catch(() => {});
+    }
+  }
+
   // Copy buttons
   function initCopy() {
     document.addEventListener("click", async (e) => {
@@ -1163,6 +1823,15 @@
       if (!currentConnSession) return;
       fetchConnection(currentConnSession).catch((e) => (el.connHint.textContent = e.message || String(e)));
     });
+
+    el.btnLogsRefresh.addEventListener("click", () => refreshLogs());
+    el.logsSteps.addEventListener("click", (e) => {
+      const btn = e.target.closest("button[data-step]");
+      if (!btn || !logsView) return;
+      logsView.job = btn.dataset.job;
+      logsView.step = btn.dataset.step;
+      refreshLogs();
+    });
   }
 
   // ===== Tick (UI only) =====
@@ -1180,6 +1849,8 @@
     el.btnCreate.addEventListener("click", openCreate);
     el.btnCreateEmpty.addEventListener("click", openCreate);
     el.btnCreateConfirm.addEventListener("click", createSession);
+    el.workflowSelect.addEventListener("change", renderWorkflowInputs);
+    el.planSelect.addEventListener("change", renderPlanSelect);
 
     el.btnSyncAll.addEventListener("click", async () => {
       const candidates = model.sessions.filter((s) => s.runId);
@@ -1188,10 +1859,21 @@
         try { await syncSession(s); } catch {}
         await sleep(250);
       }
+      loadSnapshots().catch(() => {});
       toast("Sync all done.");
     });
   }
 
+  function initAudit() {
+    el.auditFilters.addEventListener("submit", (e) => {
+      e.preventDefault();
+      loadAudit().catch((err) => toast(err.message || String(err)));
+    });
+    el.btnAuditMore.addEventListener("click", () => {
+      loadAudit({ more: true }).catch((err) => toast(err.message || String(err)));
+    });
+  }
+
   // ===== Init =====
   function init() {
     initNav();
@@ -1207,6 +1889,7 @@
     renderAll();
 
     initDashboard();
+    initAudit();
     initFirebase();
 
     setInterval(tick, 1000);
@@ -0,0 +1,502 @@
+/* Workflow YAML — one YAML-subset parser shared by the Worker and both frontends.
+   - Classic script: sets globalThis.WorkflowYaml (browser <script>, Worker side-effect import,
+     CommonJS require for tooling).
+   - Supported: block mappings/sequences (any indentation), flow sequences/mappings, plain,
+     'single' and "double" quoted scalars (multi-line too), | and > block scalars with
+     chomping/indentation indicators, comments, a leading "---".
+   - Not supported (throws YamlError): anchors, aliases, tags, multiple documents, tab indentation.
+   - Keys are always strings (so `on:` stays "on", like GitHub reads it). Every key is an own property:
+     `__proto__:` is a key like any other, never the mapping's prototype.
+*/
+(function (root) {
+  "use strict";
+
+  class YamlError extends Error {
+    constructor(message, line) {
+      super(line ? `${message} (line ${line})` : message);
+      this.name = "YamlError";
+      this.line = line || 0;
+    }
+  }
+
+  function setKey(obj, key, value) {
+    // Plain assignment would treat "__proto__" as the prototype setter.
+    Object.defineProperty(obj, key, { value, writable: true, enumerable: true, configurable: true });
+  }
+
+  function parse(text) {
+    const lines = String(text ?? "").replace(/^﻿/, "").replace(/\r\n?/g, "\n").split("\n");
+    let i = 0;
+
+    const indentOf = (ln) => ln.match(/^ */)[0].length;
+    const isBlank = (ln) => ln.trim() === "" || ln.trim().startsWith("#");
+    const fail = (msg, at = i) => { throw new YamlError(msg, at + 1); };
+
+    function skipBlank() {
+      while (i < lines.length && isBlank(lines[i])) {
+        if (/^\t/.test(lines[i]) && lines[i].trim()) fail("Tabs are not allowed for indentation");
+        i++;
+      }
+    }
+
+    // --- scanning helpers (quote/bracket aware) ---
+    function stripComment(s) {
+      let q = "";
+      for (let k = 0; k < s.length; k++) {
+        const c = s[k];
+        if (q) {
+          if (q === '"' && c === "\\") { k++; continue; }
+          if (c === q) {
+            if (q === "'" && s[k + 1] === "'") { k++; continue; }
+            q = "";
+          }
+          continue;
+        }
+        if ((c === '"' || c === "'") && (k === 0 || /[\s[{,:]/.test(s[k - 1]))) { q = c; continue; }
+        if (c === "#" && (k === 0 || /\s/.test(s[k - 1]))) return s.slice(0, k).trimEnd();
+      }
+      return s.trimEnd();
+    }
+
+    function findKeyColon(s) {
+      // index of the ":" that makes `s` a mapping entry, or -1
+      let q = "";
+      let depth = 0;
+      for (let k = 0; k < s.length; k++) {
+        const c = s[k];
+        if (q) {
+          if (q === '"' && c === "\\") { k++; continue; }
+          if (c === q) {
+            if (q === "'" && s[k + 1] === "'") { k++; continue; }
+            q = "";
+          }
+          continue;
+        }
+        if ((c === '"' || c === "'") && k === 0) { q = c; continue; }
+        if (c === "#" && (k === 0 || /\s/.test(s[k - 1]))) return -1;
+        if (k === 0 && (c === "[" || c === "{")) return -1; // flow collection, not a key
+        if (c === "[" || c === "{") depth++;
+        if (c === "]" || c === "}") depth--;
+        if (c === ":" && depth <= 0 && (k === s.length - 1 || s[k + 1] === " ")) return k;
+      }
+      return -1;
+    }
+
+    const isSeqItem = (s) => s === "-" || s.startsWith("- ");
+    const isKeyLine = (s) => findKeyColon(s) > 0;
+
+    function readKey(s) {
+      const k = s.trim();
+      if (k.startsWith('"') || k.startsWith("'")) return parseQuoted(k, 0).value;
+      if (/^[&*!|>%@`]/.test(k)) fail(`Unsupported key syntax: ${k}`);
+      return k;
+    }
+
+    // --- scalars ---
+    function resolvePlain(s) {
+      const v = s.trim();
+      if (v === "" || v === "~" || /^(null|Null|NULL)$/.test(v)) return null;
+      if (/^(true|True|TRUE)$/.test(v)) return true;
+      if (/^(false|False|FALSE)$/.test(v)) return false;
+      if (/^[-+]?[0-9]+$/.test(v)) return Number(v);
+      if (/^0x[0-9a-fA-F]+$/.test(v)) return parseInt(v.slice(2), 16);
+      if (/^0o[0-7]+$/.test(v)) return parseInt(v.slice(2), 8);
+      if (/^[-+]?(\.[0-9]+|[0-9]+(\.[0-9]*)?)([eE][-+]?[0-9]+)?$/.test(v)) return Number(v);
+      if (/^[-+]?\.(inf|Inf|INF)$/.test(v)) return v.startsWith("-") ? -Infinity : Infinity;
+      if (/^\.(nan|NaN|NAN)$/.test(v)) return NaN;
+      return v;
+    }
+
+    function parseQuoted(s, pos) {
+      // s[pos] is the opening quote; returns { value, end } (end = index after closing quote)
+      const q = s[pos];
+      let out = "";
+      for (let k = pos + 1; k < s.length; k++) {
+        const c = s[k];
+        if (q === "'") {
+          if (c === "'") {
+            if (s[k + 1] === "'") { out += "'"; k++; continue; }
+            return { value: out, end: k + 1 };
+          }
+          out += c;
+          continue;
+        }
+        if (c === '"') return { value: out, end: k + 1 };
+        if (c !== "\\") { out += c; continue; }
+        const e = s[++k];
+        const simple = { n: "\n", t: "\t", r: "\r", 0: "\0", '"': '"', "\\": "\\", "/": "/", " ": " ", b: "\b", f: "\f", e: "\x1b", N: "\x85", _: "\xa0" };
+        if (e in simple) { out += simple[e]; continue; }
+        const len = e === "x" ? 2 : e === "u" ? 4 : e === "U" ? 8 : 0;
+        if (!len) fail(`Invalid escape \\${e}`);
+        out += String.fromCodePoint(parseInt(s.slice(k + 1, k + 1 + len), 16));
+        k += len;
+      }
+      return null; // unterminated on this line
+    }
+
+    function foldQuotedLines(parts) {
+      // multi-line flow scalars: line breaks fold to spaces, empty lines to "\n"
+      let out = parts[0].trimEnd();
+      let pendingBreaks = 0;
+      for (const p of parts.slice(1)) {
+        const t = p.trim();
+        if (!t) { pendingBreaks++; continue; }
+        out += pendingBreaks ? "\n".repeat(pendingBreaks) : " ";
+        out += t;
+        pendingBreaks = 0;
+      }
+      return out;
+    }
+
+    function readQuotedValue(first) {
+      // first = text starting with the quote; may continue on following lines
+      const startLine = i;
+      const parts = [first];
+      for (;;) {
+        const text = foldQuotedLines(parts);
+        const r = parseQuoted(text, 0);
+        if (r) {
+          const tail = stripComment(text.slice(r.end)).trim();
+          if (tail) fail(`Unexpected text after quoted scalar: ${tail}`);
+          i++;
+          return r.value;
+        }
+        i++;
+        if (i >= lines.length) fail("Unterminated quoted scalar", startLine);
+        parts.push(lines[i]);
+      }
+    }
+
+    function parseFlowText(s, startLine) {
+      let p = 0;
+      const ws = () => { while (p < s.length && /\s/.test(s[p])) p++; };
+
+      function value() {
+        ws();
+        const c = s[p];
+        if (c === "[") {
+          p++;
+          const arr = [];
+          for (;;) {
+            ws();
+            if (s[p] === "]") { p++; return arr; }
+            arr.push(entry());
+            ws();
+            if (s[p] === ",") { p++; continue; }
+            if (s[p] === "]") { p++; return arr; }
+            fail("Expected , or ] in flow sequence", startLine);
+          }
+        }
+        if (c === "{") {
+          p++;
+          const obj = {};
+          for (;;) {
+            ws();
+            if (s[p] === "}") { p++; return obj; }
+            const k = scalar(true);
+            ws();
+            let v = null;
+            if (s[p] === ":") { p++; v = value(); }
+            setKey(obj, String(k ?? ""), v);
+            ws();
+            if (s[p] === ",") { p++; continue; }
+            if (s[p] === "}") { p++; return obj; }
+            fail("Expected , or } in flow mapping", startLine);
+          }
+        }
+        return scalar(false);
+      }
+
+      function entry() {
+        // a flow sequence entry may be a single-pair mapping: [a: 1]
+        const save = p;
+        const k = value();
+        ws();
+        if (s[p] === ":" && (s[p + 1] === " " || s[p + 1] === "," || s[p + 1] === "]")) {
+          p++;
+          return { [String(k)]: value() };
+        }
+        if (save === p) fail("Empty flow entry", startLine);
+        return k;
+      }
+
+      function scalar(asKey) {
+        ws();
+        if (s[p] === '"' || s[p] === "'") {
+          const r = parseQuoted(s, p);
+          if (!r) fail("Unterminated quoted scalar", startLine);
+          p = r.end;
+          return r.value;
+        }
+        const start = p;
+        while (p < s.length) {
+          const c = s[p];
+          if (c === "," || c === "]" || c === "}" || c === "[" || c === "{") break;
+          if (c === ":" && (p + 1 >= s.length || /[\s,\]}]/.test(s[p + 1]))) break;
+          p++;
+        }
+        const raw = s.slice(start, p).trim();
+        if (/^[&*!]/.test(raw)) fail("Anchors, aliases and tags are not supported", startLine);
+        return asKey ? raw : resolvePlain(raw);
+      }
+
+      const v = value();
+      ws();
+      if (p < s.length) fail(`Unexpected text after flow collection: ${s.slice(p)}`, startLine);
+      return v;
+    }
+
+    function readFlowValue(first) {
+      const startLine = i;
+      let buf = stripComment(first);
+      const balanced = (t) => {
+        let depth = 0;
+        let q = "";
+        for (let k = 0; k < t.length; k++) {
+          const c = t[k];
+          if (q) {
+            if (q === '"' && c === "\\") { k++; continue; }
+            if (c === q) q = "";
+            continue;
+          }
+          if (c === '"' || c === "'") q = c;
+          else if (c === "[" || c === "{") depth++;
+          else if (c === "]" || c === "}") depth--;
+        }
+        return depth <= 0;
+      };
+      while (!balanced(buf)) {
+        i++;
+        if (i >= lines.length) fail("Unterminated flow collection", startLine);
+        buf += " " + stripComment(lines[i].trim());
+      }
+      i++;
+      return parseFlowText(buf, startLine);
+    }
+
+    function readBlockScalar(header, parentIndent) {
+      const m = header.match(/^([|>])([1-9])?([-+])?\s*(#.*)?$/) || header.match(/^([|>])([-+])([1-9])?\s*(#.*)?$/);
+      if (!m) fail(`Invalid block scalar header: ${header}`);
+      const style = m[1];
+      const digits = /[1-9]/.test(m[2] || "") ? m[2] : /[1-9]/.test(m[3] || "") ? m[3] : "";
+      const chomp = [m[2], m[3]].find((x) => x === "-" || x === "+") || "";
+      i++;
+
+      let blockIndent = digits ? parentIndent + Number(digits) : 0;
+      const body = [];
+      while (i < lines.length) {
+        const ln = lines[i];
+        if (ln.trim() === "") {
+          // whitespace-only lines keep what lies past the block indent
+          body.push(blockIndent && ln.length > blockIndent ? ln.slice(blockIndent) : "");
+          i++;
+          continue;
+        }
+        const ind = indentOf(ln);
+        if (!blockIndent) {
+          if (ind <= parentIndent) break;
+          blockIndent = ind;
+        }
+        if (ind < blockIndent) break;
+        body.push(ln.slice(blockIndent));
+        i++;
+      }
+
+      // split trailing empty lines off for chomping
+      let end = body.length;
+      while (end > 0 && body[end - 1] === "") end--;
+      const content = body.slice(0, end);
+      const trailing = body.length - end;
+
+      let out;
+      if (style === "|") {
+        out = content.join("\n");
+      } else {
+        // folded: breaks between two normal lines become spaces, empty lines become "\n",
+        // more-indented lines keep their breaks
+        out = "";
+        let pending = 0;
+        let prevNormal = null;
+        for (const ln of content) {
+          if (ln === "") { pending++; continue; }
+          const normal = !/^\s/.test(ln);
+          if (prevNormal === null) out += "\n".repeat(pending);
+          else if (prevNormal && normal) out += pending ? "\n".repeat(pending) : " ";
+          else out += "\n".repeat(pending + 1);
+          out += ln;
+          prevNormal = normal;
+          pending = 0;
+        }
+      }
+
+      if (!content.length) return chomp === "+" ? "\n".repeat(trailing) : "";
+      if (chomp === "-") return out;
+      if (chomp === "+") return out + "\n" + "\n".repeat(trailing);
+      return out + "\n";
+    }
+
+    function readPlainValue(first, parentIndent) {
+      const parts = [stripComment(first).trim()];
+      i++;
+      // continuation lines: deeper than the parent, folded with spaces (blank lines -> "\n")
+      let blanks = 0;
+      while (i < lines.length) {
+        const ln = lines[i];
+        if (ln.trim() === "") { blanks++; i++; continue; }
+        if (ln.trim().startsWith("#")) break;
+        if (indentOf(ln) <= parentIndent) break;
+        const t = stripComment(ln).trim();
+        parts.push(blanks ? "\n".repeat(blanks) + t : t);
+        blanks = 0;
+        i++;
+      }
+      if (parts.length === 1) return resolvePlain(parts[0]);
+      return parts.reduce((acc, p) => (p.startsWith("\n") ? acc + p : `${acc} ${p}`));
+    }
+
+    function parseValue(rest, parentIndent) {
+      // `rest` = text after "key:" or "- " on line i
+      const t = rest.trim();
+      if (/^[&*!]/.test(t)) fail("Anchors, aliases and tags are not supported");
+      if (t.startsWith("|") || t.startsWith(">")) return readBlockScalar(t, parentIndent);
+      if (t.startsWith("[") || t.startsWith("{")) return readFlowValue(t);
+      if (t.startsWith('"') || t.startsWith("'")) return readQuotedValue(t);
+      return readPlainValue(t, parentIndent);
+    }
+
+    // --- block collections ---
+    function parseNode(minIndent) {
+      skipBlank();
+      if (i >= lines.length) return null;
+      const ln = lines[i];
+      const ind = indentOf(ln);
+      if (ind < minIndent) return null;
+      const content = ln.slice(ind);
+      if (content.startsWith("\t")) fail("Tabs are not allowed for indentation");
+      if (isSeqItem(content)) return parseSeq(ind);
+      if (isKeyLine(content)) return parseMap(ind);
+      return parseValue(content, ind - 1);
+    }
+
+    function childOf(ind, allowSameIndentSeq) {
+      // value on the following lines: deeper block, or a "- " list at the key's own indent
+      i++;
+      skipBlank();
+      if (i >= lines.length) return null;
+      const next = lines[i];
+      const nind = indentOf(next);
+      if (nind > ind) return parseNode(nind);
+      if (allowSameIndentSeq && nind === ind && isSeqItem(next.slice(nind))) return parseSeq(ind);
+      return null;
+    }
+
+    function parseMap(ind) {
+      const obj = {};
+      for (;;) {
+        skipBlank();
+        if (i >= lines.length) break;
+        const ln = lines[i];
+        const lind = indentOf(ln);
+        if (lind < ind) break;
+        if (lind > ind) fail("Bad indentation of a mapping entry");
+        const content = ln.slice(ind);
+        if (content.startsWith("\t")) fail("Tabs are not allowed for indentation");
+        if (content === "---" || content === "...") break;
+        if (isSeqItem(content)) break;
+        const colon = findKeyColon(content);
+        if (colon <= 0) fail(`Expected a mapping entry, got: ${content.trim()}`);
+
+        const key = readKey(content.slice(0, colon));
+        if (Object.prototype.hasOwnProperty.call(obj, key)) fail(`Duplicate key: ${key}`);
+        const rest = stripComment(content.slice(colon + 1)).trim();
+        setKey(obj, key, rest === "" ? childOf(ind, true) : parseValue(content.slice(colon + 1), ind));
+      }
+      return obj;
+    }
+
+    function parseSeq(ind) {
+      const arr = [];
+      for (;;) {
+        skipBlank();
+        if (i >= lines.length) break;
+        const ln = lines[i];
+        const lind = indentOf(ln);
+        if (lind !== ind) {
+          if (lind > ind) fail("Bad indentation of a sequence entry");
+          break;
+        }
+        const content = ln.slice(ind);
+        if (content.startsWith("\t")) fail("Tabs are not allowed for indentation");
+        if (!isSeqItem(content)) break;
+
+        const after = content.slice(1);
+        const pad = after.match(/^ */)[0].length;
+        const rest = after.slice(pad);
+        if (stripComment(rest).trim() === "") {
+          arr.push(childOf(ind, false));
+          continue;
+        }
+        const col = ind + 1 + pad;
+        if (isSeqItem(rest) || isKeyLine(rest)) {
+          // "- key: v" / "- - x": re-read the rest as a block node starting at its own column
+          lines[i] = " ".repeat(col) + rest;
+          arr.push(parseNode(col));
+        } else {
+          arr.push(parseValue(rest, ind));
+        }
+      }
+      return arr;
+    }
+
+    // --- document ---
+    skipBlank();
+    if (i < lines.length && /^---(\s|$)/.test(lines[i])) {
+      const tail = stripComment(lines[i].slice(3)).trim();
+      if (tail) lines[i] = tail;
+      else i++;
+    }
+    if (i < lines.length && /^%/.test(lines[i])) fail("Directives are not supported");
+
+    const doc = parseNode(0);
+    skipBlank();
+    if (i < lines.length && lines[i].trim() !== "...") {
+      if (/^---/.test(lines[i])) fail("Multiple documents are not supported");
+      fail(`Unexpected content: ${lines[i].trim()}`);
+    }
+    return doc;
+  }
+
+  function parseWorkflow(text) {
+    // GitHub Actions view of a workflow file: dispatch inputs (raw, string defaults) + timeout.
+    const doc = parse(text) || {};
+    const on = doc.on ?? doc[true];
+    const dispatch = on && typeof on === "object" && !Array.isArray(on) ? on.workflow_dispatch : null;
+    const rawInputs = (dispatch && typeof dispatch === "object" && dispatch.inputs) || {};
+    const str = (v) => (v === undefined || v === null ? "" : String(v));
+
+    const inputs = Object.entries(rawInputs).map(([name, d]) => ({
+      name,
+      description: str(d?.description),
+      required: d?.required === true || d?.required === "true",
+      default: str(d?.default),
+      type: str(d?.type) || "string",
+      options: Array.isArray(d?.options) ? d.options.map(str) : []
+    }));
+
+    const timeouts = Object.values(doc.jobs || {})
+      .map((j) => Number(j?.["timeout-minutes"]))
+      .filter((n) => Number.isFinite(n) && n > 0);
+
+    return {
+      name: str(doc.name),
+      runName: str(doc["run-name"]),
+      inputs,
+      timeoutMinutes: timeouts.length ? Math.max(...timeouts) : 360,
+      jobs: doc.jobs || {}
+    };
+  }
+
+  const api = { parse, parseWorkflow, YamlError };
+  root.WorkflowYaml = api;
+  if (typeof module === "object" && module.exports) module.exports = api;
+})(typeof globalThis !== "undefined" ? globalThis : this);
@@ -0,0 +1,131 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+import "./workflow-yaml.js";
+
+const { parse, parseWorkflow } = globalThis.WorkflowYaml;
+const read = (path) => readFileSync(new URL(`../${path}`, import.meta.url), "utf8");
+
+const OS_OPTIONS = ["2025", "2022", "2019", "2012", "11", "10"];
+
+test("WindowsRDP.yml: two choice inputs, one job, no step timeouts", () => {
+  const wf = parseWorkflow(read("WindowsRDP.yml"));
+  assert.equal(wf.name, "🖥️ Windows RDP");
+  assert.equal(wf.runName, "");
+  assert.deepEqual(wf.inputs, [
+    {
+      name: "os_version",
+      description: "📀 Select Operating System / Chọn Hệ Điều Hành",
+      required: true,
+      default: "Windows Server 2025 (Docker - 4vCPU | 8GB RAM)",
+      type: "choice",
+      options: [
+        "Windows Server 2025 (Docker - 4vCPU | 8GB RAM)",
+        "Windows Server 2022 (Docker - 4vCPU | 8GB RAM)",
+        "Windows Server 2019 (Docker - 4vCPU | 8GB RAM)",
+        "Windows Server 2012 (Docker - 4vCPU | 8GB RAM)",
+        "Windows 11 Professional (Docker - 4vCPU | 8GB RAM)",
+        "Windows 10 Professional (Docker - 4vCPU | 8GB RAM)"
+      ]
+    },
+    {
+      name: "language",
+      description: "🌐 Language / Ngôn ngữ",
+      required: true,
+      default: "English",
+      type: "choice",
+      options: ["English", "Tiếng Việt"]
+    }
+  ]);
+  assert.equal(wf.timeoutMinutes, 360);
+
+  const job = wf.jobs["windows-rdp-docker"];
+  assert.equal(job["runs-on"], "ubuntu-latest");
+  assert.equal(job.env, undefined);
+  assert.deepEqual(job.steps.map((s) => s.name), [
+    "🔧 System Initialization / Khởi tạo hệ thống",
+    "🌐 Connection Information / Thông tin kết nối",
+    "⏰ Session Keepalive / Duy trì phiên"
+  ]);
+  for (const step of job.steps) {
+    assert.equal(step["timeout-minutes"], undefined, step.name);
+    assert.equal(typeof step.run, "string", step.name);
+  }
+  assert.match(job.steps[0].run, /^sudo apt-get update > \/dev\/null 2>&1\n/);
+});
+
+for (const path of ["workflow/WindowsRDP.patched.yml", ".github/workflows/main.yml"]) {
+  test(`${path}: control panel inputs, job env and step timeouts`, () => {
+    const wf = parseWorkflow(read(path));
+    assert.equal(wf.name, "🖥️ Windows RDP");
+    assert.equal(
+      wf.runName,
+      "${{ inputs.dispatch_id && format('🖥️ Windows RDP • {0}', inputs.dispatch_id) || '🖥️ Windows RDP' }}"
+    );
+
+    const byName = Object.fromEntries(wf.inputs.map((i) => [i.name, i]));
+    assert.deepEqual(Object.keys(byName), [
+      "os_version", "language", "tunnel", "cpu_cores", "ram_size", "disk_size",
+      "dispatch_id", "snapshot_id", "restore_run_id"
+    ]);
+    assert.equal(byName.password, undefined);
+    assert.equal(byName.os_version.default, "Windows Server 2025 (Docker)");
+    assert.deepEqual(byName.os_version.options, OS_OPTIONS.map((v) =>
+      /^\d{4}$/.test(v) ? `Windows Server ${v} (Docker)` : `Windows ${v} Professional (Docker)`));
+    assert.deepEqual(byName.tunnel.options, ["kami", "cloudflared", "bore"]);
+    assert.equal(byName.tunnel.default, "kami");
+    for (const [name, def] of [["cpu_cores", "4"], ["ram_size", "8"], ["disk_size", "60"]]) {
+      assert.equal(byName[name].type, "number", name);
+      assert.equal(byName[name].default, def, name); // defaults stay strings
+      assert.equal(byName[name].required, false, name);
+    }
+    for (const name of ["dispatch_id", "snapshot_id", "restore_run_id"]) {
+      assert.deepEqual(
+        { type: byName[name].type, default: byName[name].default, required: byName[name].required },
+        { type: "string", default: "", required: false },
+        name
+      );
+    }
+    assert.equal(wf.timeoutMinutes, 360);
+
+    const job = wf.jobs["windows-rdp-docker"];
+    assert.deepEqual(job.permissions, { contents: "read", actions: "read" });
+    assert.deepEqual(job.env, {
+      WEBHOOK_URL: "${{ secrets.WEBHOOK_URL }}",
+      WEBHOOK_SECRET: "${{ secrets.WEBHOOK_SECRET }}"
+    });
+
+    const restore = job.steps.find((s) => s.name.startsWith("💾 Restore Disk"));
+    assert.deepEqual(restore.env, {
+      GH_TOKEN: "${{ github.token }}",
+      SNAPSHOT_ID: "${{ github.event.inputs.snapshot_id }}",
+      RESTORE_RUN_ID: "${{ github.event.inputs.restore_run_id }}"
+    });
+    // Only the job-level timeout applies; no step carries its own.
+    for (const step of job.steps) assert.equal(step["timeout-minutes"], undefined, step.name);
+    // The run password never appears in a step env (its header is printed in the log).
+    for (const step of job.steps) assert.ok(!step.env || !Object.keys(step.env).some((k) => /PASSWORD/.test(k)), step.name);
+
+    const upload = job.steps.find((s) => s.id === "upload_disk");
+    assert.equal(upload.uses, "actions/upload-artifact@v4");
+    assert.equal(upload.with["retention-days"], 30);
+  });
+}
+
+test("the patched workflow and the installed copy parse identically", () => {
+  assert.deepEqual(parse(read("workflow/WindowsRDP.patched.yml")), parse(read(".github/workflows/main.yml")));
+});
+
+test("a __proto__ key is an own key, never the mapping's prototype", () => {
+  for (const text of ["__proto__:\n  polluted: true\nname: x\n", "{__proto__: {polluted: true}, name: x}\n"]) {
+    const doc = parse(text);
+    assert.equal(Object.getPrototypeOf(doc), Object.prototype, text);
+    assert.equal(doc.polluted, undefined, text);
+    assert.deepEqual(Object.keys(doc), ["__proto__", "name"], text);
+    assert.deepEqual(Object.getOwnPropertyDescriptor(doc, "__proto__").value, { polluted: true }, text);
+  }
+  assert.equal({}.polluted, undefined);
+
+  const wf = parseWorkflow("on:\n  workflow_dispatch:\n    inputs:\n      __proto__:\n        type: string\n");
+  assert.deepEqual(wf.inputs.map((i) => i.name), ["__proto__"]);
+});
@@ -0,0 +1,63 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import worker from "./worker.js";
+import { makeEnv, makeSigner, mockFetch, jsonResponse, call } from "./testing.mjs";
+
+// Each test serves its keys from its own JWKS URL: the Worker caches keys per URL.
+async function setup(name) {
+  const env = makeEnv({ FIREBASE_JWKS_URL: `https://jwks.test/${name}` });
+  const signer = await makeSigner(env.FIREBASE_PROJECT_ID);
+  const calls = mockFetch([["GET", /^https:\/\/jwks\.test\//, () => jsonResponse(signer.jwks, 200, { "Cache-Control": "max-age=3600" })]]);
+  const jwksFetches = () => calls.filter(([, url]) => url.startsWith("https://jwks.test/")).length;
+  return { env, signer, jwksFetches };
+}
+
+test("accepts a token signed by a key from the JWKS", async () => {
+  const { env, signer } = await setup("valid");
+  const res = await call(worker, env, "GET", "/api/snapshots", { token: await signer.sign({ sub: "alice" }) });
+  assert.equal(res.status, 200);
+  assert.deepEqual((await res.json()).snapshots, []);
+});
+
+test("rejects bad signatures, audiences, issuers and expired tokens", async () => {
+  const { env, signer } = await setup("invalid");
+  const other = await makeSigner(env.FIREBASE_PROJECT_ID);
+  const now = Math.floor(Date.now() / 1000);
+  const tokens = [
+    await other.sign(), // same kid, different key
+    await signer.sign({ aud: "someone-else" }),
+    await signer.sign({ iss: "https://securetoken.google.com/someone-else" }),
+    await signer.sign({ exp: now - 3600, iat: now - 7200 }),
+    await signer.sign({}, { alg: "HS256" }),
+    "not.a.token",
+    (await signer.sign()).replace(/\.[^.]*$/, ".%%%not-base64%%%"), // signature segment atob can't decode
+    `${Buffer.from("null").toString("base64url")}.${Buffer.from("null").toString("base64url")}.AAAA`
+  ];
+  for (const token of tokens) {
+    const res = await call(worker, env, "GET", "/api/snapshots", { token });
+    assert.equal(res.status, 401, token);
+  }
+  assert.equal((await call(worker, env, "GET", "/api/snapshots")).status, 401);
+});
+
+test("refetches the JWKS for an unknown kid at most once a minute", async (t) => {
+  const { env, signer, jwksFetches } = await setup("throttle");
+  const forged = await makeSigner(env.FIREBASE_PROJECT_ID, "made-up");
+
+  assert.equal((await call(worker, env, "GET", "/api/snapshots", { token: await signer.sign() })).status, 200);
+  assert.equal(jwksFetches(), 1);
+
+  for (let i = 0; i < 5; i++) {
+    const res = await call(worker, env, "GET", "/api/snapshots", { token: await forged.sign() });
+    assert.equal(res.status, 401);
+  }
+  assert.equal(jwksFetches(), 1);
+
+  const realNow = Date.now;
+  t.after(() => (Date.now = realNow));
+  Date.now = () => realNow() + 61_000;
+  assert.equal((await call(worker, env, "GET", "/api/snapshots", { token: await forged.sign() })).status, 401);
+  assert.equal(jwksFetches(), 2);
+  assert.equal((await call(worker, env, "GET", "/api/snapshots", { token: await forged.sign() })).status, 401);
+  assert.equal(jwksFetches(), 2);
+});
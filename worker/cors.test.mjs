@@ -0,0 +1,54 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import worker from "./worker.js";
+import { makeEnv, call } from "./testing.mjs";
+
+const env = makeEnv({ ALLOWED_ORIGINS: "https://vps.example.com, https://*.my-project.pages.dev/" });
+const preflight = (origin) => call(worker, env, "OPTIONS", "/api/dispatch", { headers: origin ? { Origin: origin } : {} });
+
+test("the allowlist takes exact origins, one wildcard label and the Worker's own origin", async () => {
+  const allowed = [
+    "https://vps.example.com",
+    "https://abc123.my-project.pages.dev",
+    "https://worker.test"
+  ];
+  const refused = [
+    "https://vps.example.com:8443",
+    "http://vps.example.com",
+    "https://evil.vps.example.com",
+    "https://my-project.pages.dev",
+    "https://a.b.my-project.pages.dev",
+    "https://evil.com.my-project.pages.dev.attacker.test",
+    "http://abc123.my-project.pages.dev",
+    "null"
+  ];
+  for (const origin of allowed) {
+    const res = await preflight(origin);
+    assert.equal(res.status, 204, origin);
+    assert.equal(res.headers.get("Access-Control-Allow-Origin"), origin, origin);
+  }
+  for (const origin of refused) {
+    const res = await preflight(origin);
+    assert.equal(res.status, 403, origin);
+    assert.equal(res.headers.get("Access-Control-Allow-Origin"), null, origin);
+    assert.deepEqual(await res.json(), { error: "Origin not allowed", code: "forbidden" });
+  }
+});
+
+test("other requests from a refused origin get no CORS headers, but keep Vary and security headers", async () => {
+  const res = await call(worker, env, "GET", "/api/points", { headers: { Origin: "https://a.b.my-project.pages.dev" } });
+  assert.equal(res.status, 401);
+  assert.equal(res.headers.get("Access-Control-Allow-Origin"), null);
+  assert.equal(res.headers.get("Vary"), "Origin");
+  assert.equal(res.headers.get("X-Frame-Options"), "DENY");
+
+  const ok = await call(worker, env, "GET", "/api/points", { headers: { Origin: "https://abc123.my-project.pages.dev" } });
+  assert.equal(ok.headers.get("Access-Control-Allow-Origin"), "https://abc123.my-project.pages.dev");
+});
+
+test("with no ALLOWED_ORIGINS only the Worker's own origin gets a preflight", async () => {
+  const bare = makeEnv();
+  assert.equal((await call(worker, bare, "OPTIONS", "/api/dispatch", { headers: { Origin: "https://vps.example.com" } })).status, 403);
+  assert.equal((await call(worker, bare, "OPTIONS", "/api/dispatch", { headers: { Origin: "https://worker.test" } })).status, 204);
+  assert.equal((await preflight(null)).status, 403);
+});
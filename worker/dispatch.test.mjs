@@ -0,0 +1,250 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import worker from "./worker.js";
+import { makeEnv, makeSigner, mockFetch, jsonResponse, call, rtdbRoutes, githubRoutes, rateLimited } from "./testing.mjs";
+
+const yml = fs.readFileSync(new URL("../workflow/WindowsRDP.patched.yml", import.meta.url), "utf8");
+
+async function setup({ uid, balance = 1000, overrides = [], db = new Map() }) {
+  const env = makeEnv({ FIREBASE_JWKS_URL: `https://jwks.test/${uid}` }) // keys are cached per URL;
+  const signer = await makeSigner(env.FIREBASE_PROJECT_ID);
+  db.set(`wallets/${uid}`, { balance });
+  const gh = { yml };
+  const calls = mockFetch([
+    ["GET", /^https:\/\/jwks\.test\//, () => jsonResponse(signer.jwks)],
+    ...overrides,
+    ...githubRoutes(gh),
+    ...rtdbRoutes(db)
+  ]);
+  return { env, db, gh, calls, token: await signer.sign({ sub: uid }) };
+}
+
+test("a dispatch whose run lookup fails is still recorded and swept", async () => {
+  const uid = "lookup-fails";
+  const { env, db, gh, token } = await setup({
+    uid,
+    overrides: [["GET", /\/actions\/workflows\/[^/]+\/runs/, () => rateLimited()]]
+  });
+  const res = await call(worker, env, "POST", "/api/dispatch", { token, body: { workflow: "windows", inputs: {} } });
+  assert.equal(res.status, 200);
+  const out = await res.json();
+  assert.equal(out.run_id, null);
+  assert.equal(gh.dispatches.length, 1);
+  assert.ok(db.get(`wallets/${uid}`).balance < 1000);
+
+  const rec = await env.SESSIONS_KV.get(`dispatch:${out.dispatch_id}`, "json");
+  assert.equal(rec.uid, uid);
+  assert.equal((await env.SESSIONS_KV.get(`active:${out.dispatch_id}`, "json")).uid, uid);
+  assert.ok(await env.SESSIONS_KV.get(`secret:${out.dispatch_id}`));
+});
+
+test("a dispatch links its run when the lookup works", async () => {
+  const uid = "lookup-works";
+  const { env, gh, token } = await setup({ uid });
+  const out = await (await call(worker, env, "POST", "/api/dispatch", { token, body: { workflow: "windows", inputs: {} } })).json();
+  assert.equal(out.run_id, gh.runs[0].id);
+  assert.equal((await env.SESSIONS_KV.get(`run:${out.run_id}`, "json")).dispatch_id, out.dispatch_id);
+  assert.equal((await env.SESSIONS_KV.get(`active:${out.dispatch_id}`, "json")).run_id, out.run_id);
+  assert.equal(gh.dispatches[0].inputs.password, undefined);
+});
+
+async function auditEntries(env) {
+  await new Promise((r) => setImmediate(r)); // written through ctx.waitUntil
+  return (await env.SESSIONS_KV.list({ prefix: "audit:" })).keys.map((k) => k.metadata);
+}
+
+test("a dispatch GitHub refuses is refunded and audited with its error code", async () => {
+  const uid = "dispatch-fails";
+  const { env, db, token } = await setup({
+    uid,
+    overrides: [["POST", /\/dispatches$/, () => jsonResponse({ message: "Server Error" }, 500)]]
+  });
+  const res = await call(worker, env, "POST", "/api/dispatch", { token, body: { workflow: "windows", inputs: {} } });
+  assert.equal(res.status, 503);
+  assert.equal(db.get(`wallets/${uid}`).balance, 1000);
+  const [entry] = await auditEntries(env);
+  assert.deepEqual([entry.action, entry.result, entry.detail], ["run.dispatch", "error:upstream_unavailable", "GitHub POST 500: Server Error"]);
+});
+
+test("a cancel GitHub refuses is audited with its error code", async () => {
+  const uid = "cancel-fails";
+  const { env, token } = await setup({
+    uid,
+    overrides: [["POST", /\/cancel$/, () => jsonResponse({ message: "Not Found" }, 404)]]
+  });
+  await env.SESSIONS_KV.put("run:42", JSON.stringify({ uid, dispatch_id: "d42" }));
+  assert.equal((await call(worker, env, "POST", "/api/runs/42/cancel", { token })).status, 404);
+  assert.equal((await call(worker, env, "POST", "/api/runs/42/stop", { token })).status, 404);
+  const entries = await auditEntries(env);
+  assert.deepEqual(entries.map((e) => [e.action, e.result]).sort(), [["run.cancel", "error:not_found"], ["run.stop", "error:not_found"]]);
+});
+
+test("two dispatches at once can't both take the last concurrent slot", async () => {
+  const uid = "quota-race";
+  const { env, db, gh, token } = await setup({ uid });
+  const send = () => call(worker, env, "POST", "/api/dispatch", { token, body: { workflow: "windows", inputs: {} } });
+  const statuses = (await Promise.all([send(), send()])).map((r) => r.status).sort();
+  assert.deepEqual(statuses, [200, 429]);
+  assert.equal(gh.dispatches.length, 1);
+  assert.equal(Object.keys(db.get(`quotas/${uid}`).active).length, 1);
+});
+
+test("a dispatch that can't be paid for gives its quota back", async () => {
+  const uid = "quota-release";
+  const { env, db, gh, token } = await setup({ uid, balance: 0 });
+  const res = await call(worker, env, "POST", "/api/dispatch", { token, body: { workflow: "windows", inputs: {} } });
+  assert.equal(res.status, 402);
+  assert.deepEqual(await res.json(), { error: "Insufficient points", code: "insufficient_points", balance: 0, required: 300 });
+  assert.equal(gh.dispatches.length, 0);
+  const usage = db.get(`quotas/${uid}`);
+  assert.deepEqual([usage.dispatches, usage.minutes, usage.active || {}], [0, 0, {}]);
+});
+
+test("the Worker's own refusals carry a code", async () => {
+  const uid = "codes";
+  const { env, token } = await setup({ uid });
+  await env.SESSIONS_KV.put("run:77", JSON.stringify({ uid: "someone-else", dispatch_id: "d77" }));
+  const cases = [
+    ["POST", "/api/dispatch", { workflow: "nope" }, 400, "validation"],
+    ["POST", "/api/dispatch", { workflow: "windows", plan: "nope" }, 400, "validation"],
+    ["POST", "/api/dispatch", { workflow: "windows", inputs: { bogus: "1" } }, 400, "validation"],
+    ["POST", "/api/runs/77/cancel", undefined, 403, "forbidden"],
+    ["GET", "/api/audit", undefined, 403, "forbidden"],
+    ["GET", "/api/nowhere", undefined, 404, "not_found"]
+  ];
+  for (const [method, path, body, status, code] of cases) {
+    const res = await call(worker, env, method, path, { token, body });
+    assert.deepEqual([res.status, (await res.json()).code], [status, code], `${method} ${path}`);
+  }
+  const res = await call(worker, env, "GET", "/api/snapshots");
+  assert.deepEqual([res.status, (await res.json()).code], [401, "unauthorized"]);
+});
+
+test("a debit that throws gives the quota back", async () => {
+  const uid = "debit-throws";
+  const { env, db, gh, token } = await setup({
+    uid,
+    overrides: [["PUT", /^https:\/\/db\.test\/wallets\//, () => jsonResponse({ error: "unavailable" }, 503)]]
+  });
+  const res = await call(worker, env, "POST", "/api/dispatch", { token, body: { workflow: "windows", inputs: {} } });
+  assert.equal(res.status, 503);
+  assert.equal(gh.dispatches.length, 0);
+  const usage = db.get(`quotas/${uid}`);
+  assert.deepEqual([usage.dispatches, usage.minutes, usage.active || {}], [0, 0, {}]);
+});
+
+test("a failed dispatch gives the quota back even when its refund throws", async () => {
+  const uid = "refund-throws";
+  const db = new Map();
+  const [[, dbPattern, dbHandler]] = rtdbRoutes(db);
+  let walletPuts = 0;
+  const { env, gh, token } = await setup({
+    uid,
+    db,
+    overrides: [
+      ["POST", /\/dispatches$/, () => jsonResponse({ message: "Server Error" }, 500)],
+      ["PUT", /^https:\/\/db\.test\/wallets\//, (m, url, init) =>
+        ++walletPuts === 1 ? dbHandler(url.match(dbPattern), url, init) : jsonResponse({ error: "unavailable" }, 503)]
+    ]
+  });
+  const res = await call(worker, env, "POST", "/api/dispatch", { token, body: { workflow: "windows", inputs: {} } });
+  assert.equal(res.status, 503);
+  assert.equal(walletPuts, 2);
+  assert.equal(gh.dispatches.length, 0);
+  const usage = db.get(`quotas/${uid}`);
+  assert.deepEqual([usage.dispatches, usage.minutes, usage.active || {}], [0, 0, {}]);
+});
+
+async function runNearExpiry(env, token, gh) {
+  // A dispatched run whose extend window is open.
+  const out = await (await call(worker, env, "POST", "/api/dispatch", { token, body: { workflow: "windows", inputs: {} } })).json();
+  const rec = await env.SESSIONS_KV.get(`run:${out.run_id}`, "json");
+  await env.SESSIONS_KV.put(`run:${out.run_id}`, JSON.stringify({ ...rec, expires_at: Date.now() + 10 * 60_000 }));
+  assert.equal(gh.dispatches.length, 1);
+  return out.run_id;
+}
+
+test("two extends at once dispatch and charge one continuation", async () => {
+  const uid = "extend-race";
+  const { env, db, gh, token } = await setup({ uid });
+  const runId = await runNearExpiry(env, token, gh);
+  const balance = db.get(`wallets/${uid}`).balance;
+
+  const send = () => call(worker, env, "POST", `/api/runs/${runId}/extend`, { token });
+  const [a, b] = await Promise.all([send(), send()]);
+  assert.deepEqual([a.status, b.status].sort(), [200, 409]);
+  const refused = await (a.status === 409 ? a : b).json();
+  assert.equal(refused.code, "conflict");
+  assert.equal(gh.dispatches.length, 2);
+  const charged = balance - db.get(`wallets/${uid}`).balance;
+  assert.ok(charged > 0);
+
+  assert.equal((await send()).status, 409);
+  assert.equal(balance - db.get(`wallets/${uid}`).balance, charged);
+  assert.equal(db.get(`extensions/${runId}`).dispatch_id, gh.dispatches[1].inputs.dispatch_id);
+});
+
+test("an extend whose dispatch fails can be tried again", async () => {
+  const uid = "extend-retry";
+  let failDispatch = false;
+  const { env, gh, token } = await setup({
+    uid,
+    overrides: [["POST", /\/dispatches$/, () => (failDispatch ? jsonResponse({ message: "Server Error" }, 500) : undefined)]]
+  });
+  const runId = await runNearExpiry(env, token, gh);
+  failDispatch = true;
+  assert.equal((await call(worker, env, "POST", `/api/runs/${runId}/extend`, { token })).status, 503);
+  failDispatch = false;
+  assert.equal((await call(worker, env, "POST", `/api/runs/${runId}/extend`, { token })).status, 200);
+  assert.equal(gh.dispatches.length, 2);
+});
+
+test("cancel and stop leave a finished run alone, and GitHub's 409 is a conflict", async () => {
+  const uid = "cancel-finished";
+  const { env, calls, token } = await setup({
+    uid,
+    overrides: [["POST", /\/cancel$/, () => jsonResponse({ message: "Cannot cancel a workflow run that is completed." }, 409)]]
+  });
+  const cancels = () => calls.filter(([method, url]) => method === "POST" && url.endsWith("/cancel")).length;
+  await env.SESSIONS_KV.put("run:43", JSON.stringify({ uid, dispatch_id: "d43" }));
+  await env.SESSIONS_KV.put("run:44", JSON.stringify({ uid, dispatch_id: "d44" }));
+  await env.SESSIONS_KV.put("status:43", JSON.stringify({ status: "completed", conclusion: "success" }));
+
+  assert.deepEqual(await (await call(worker, env, "POST", "/api/runs/43/cancel", { token })).json(), { ok: true, completed: true });
+  assert.equal((await call(worker, env, "POST", "/api/runs/43/stop", { token })).status, 200);
+  assert.equal(cancels(), 0);
+
+  // Finished on GitHub before the Worker heard of it.
+  const res = await call(worker, env, "POST", "/api/runs/44/cancel", { token });
+  assert.equal(res.status, 409);
+  assert.equal((await res.json()).code, "conflict");
+  assert.equal(cancels(), 1);
+});
+
+test("plans stay within what the workflow gives a 16 GB runner", async () => {
+  const uid = "plan-ceilings";
+  const { env, gh, token } = await setup({ uid });
+  // The workflow's cap: MemTotal rounded down to whole GB (15 on a 16 GB runner), less 4 for the host.
+  const ramCap = 15 - 4;
+  const { plans } = await (await call(worker, env, "GET", "/api/config", { token })).json();
+  assert.ok(plans.some((p) => p.id === "ultra"));
+  for (const plan of plans) {
+    assert.ok(plan.cpu_cores <= 4, plan.id);
+    assert.ok(plan.ram_size <= ramCap, plan.id);
+  }
+
+  env.PLANS = JSON.stringify({ big: { label: "Big", cpu_cores: 4, ram_size: 12, disk_size: 100, points: 450 } });
+  const res = await call(worker, env, "POST", "/api/dispatch", { token, body: { workflow: "windows", plan: "big", inputs: {} } });
+  assert.equal(res.status, 400);
+  assert.match((await res.json()).error, /ram_size must be a whole number from 2 to 10/);
+  assert.equal(gh.dispatches.length, 0);
+});
+
+test("the ledger lists the newest entries first whatever order RTDB sends them in", async () => {
+  const uid = "ledger-order";
+  const db = new Map([[`ledger/${uid}`, { "-Nb": { delta: 2 }, "-Nc": { delta: 3 }, "-Na": { delta: 1 } }]]);
+  const { env, token } = await setup({ uid, db });
+  const { entries } = await (await call(worker, env, "GET", "/api/points/ledger", { token })).json();
+  assert.deepEqual(entries.map((e) => e.id), ["-Nc", "-Nb", "-Na"]);
+});
@@ -0,0 +1,64 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import worker from "./worker.js";
+import { makeEnv, makeSigner, mockFetch, jsonResponse } from "./testing.mjs";
+
+test("event stream reads only status each tick and backs off while nothing changes", async (t) => {
+  const env = makeEnv({ FIREBASE_JWKS_URL: "https://jwks.test/events" });
+  const signer = await makeSigner(env.FIREBASE_PROJECT_ID);
+  mockFetch([["GET", /^https:\/\/jwks\.test\//, () => jsonResponse(signer.jwks)]]);
+  await env.SESSIONS_KV.put("run:900", JSON.stringify({ uid: "alice", dispatch_id: "d9", expires_at: Date.now() + 3600_000 }));
+  await env.SESSIONS_KV.put("status:900", JSON.stringify({ status: "in_progress", source: "webhook", received_at: Date.now() }));
+  await env.SESSIONS_KV.put("conn:900", JSON.stringify({ run_id: "900", endpoints: [] }));
+  const token = await signer.sign({ sub: "alice" });
+
+  const reads = new Map();
+  const get = env.SESSIONS_KV.get.bind(env.SESSIONS_KV);
+  env.SESSIONS_KV.get = (key, type) => {
+    const prefix = key.split(":")[0];
+    reads.set(prefix, (reads.get(prefix) || 0) + 1);
+    return get(key, type);
+  };
+
+  const pending = [];
+  t.mock.timers.enable({ apis: ["setTimeout"] });
+  const res = await worker.fetch(new Request("https://worker.test/api/runs/900/events", { headers: { Authorization: `Bearer ${token}` } }), env, {
+    waitUntil: (p) => pending.push(p)
+  });
+  assert.equal(res.status, 200);
+  const reader = res.body.getReader();
+  let text = "";
+  const drain = (async () => {
+    for (;;) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      text += new TextDecoder().decode(value);
+    }
+  })();
+
+  const settle = () => new Promise((r) => setImmediate(r));
+  reads.clear();
+  // one simulated minute, in 1 s steps
+  for (let i = 0; i < 60; i++) {
+    for (let j = 0; j < 5; j++) await settle();
+    t.mock.timers.tick(1000);
+  }
+  for (let j = 0; j < 5; j++) await settle();
+
+  assert.match(text, /event: status/);
+  assert.match(text, /event: connection/);
+  // 3 + 6 + 12 + 15... s ticks: well under one status read per 3 s, and no connection re-reads once it was sent
+  assert.ok(reads.get("status") <= 8, `status reads ${reads.get("status")}`);
+  assert.ok((reads.get("conn") || 0) <= 1, `conn reads ${reads.get("conn")}`);
+  assert.ok((reads.get("stop") || 0) <= 5, `stop reads ${reads.get("stop")}`);
+  assert.ok(!reads.get("run") || reads.get("run") <= 1);
+
+  await env.SESSIONS_KV.put("status:900", JSON.stringify({ status: "completed", conclusion: "success", source: "webhook", received_at: Date.now() }));
+  for (let i = 0; i < 20; i++) {
+    for (let j = 0; j < 5; j++) await settle();
+    t.mock.timers.tick(1000);
+  }
+  await drain;
+  await Promise.all(pending);
+  assert.match(text, /event: end/);
+});
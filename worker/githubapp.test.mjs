@@ -0,0 +1,94 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { generateKeyPairSync, createVerify } from "node:crypto";
+import worker from "./worker.js";
+import { makeEnv, makeSigner, mockFetch, jsonResponse, call } from "./testing.mjs";
+
+const api = "https://api\\.github\\.com";
+const { privateKey, publicKey } = generateKeyPairSync("rsa", { modulusLength: 2048 });
+const pkcs1 = privateKey.export({ type: "pkcs1", format: "pem" }); // how GitHub hands out app keys
+const pkcs8 = privateKey.export({ type: "pkcs8", format: "pem" });
+
+function decodeJwt(jwt) {
+  const [h, p, sig] = jwt.split(".");
+  const verified = createVerify("RSA-SHA256").update(`${h}.${p}`).verify(publicKey, Buffer.from(sig, "base64url"));
+  const part = (s) => JSON.parse(Buffer.from(s, "base64url").toString());
+  return { verified, header: part(h), payload: part(p) };
+}
+
+// An app installed on the repo; GET /api/runs/77 then reads the run with the installation token.
+async function setup(appId, privateKeyPem, extra = {}) {
+  const env = makeEnv({ FIREBASE_JWKS_URL: `https://jwks.test/app-${appId}`, GITHUB_APP_ID: appId, GITHUB_APP_PRIVATE_KEY: privateKeyPem, ...extra });
+  const signer = await makeSigner(env.FIREBASE_PROJECT_ID);
+  const jwts = [];
+  const appAuth = (init) => {
+    jwts.push(decodeJwt(init.headers.Authorization.replace(/^Bearer /, "")));
+    return jwts.at(-1).verified;
+  };
+  const calls = mockFetch([
+    ["GET", /^https:\/\/jwks\.test\//, () => jsonResponse(signer.jwks)],
+    ["GET", new RegExp(`^${api}/repos/owner/repo/installation$`), (m, url, init) =>
+      appAuth(init) ? jsonResponse({ id: 55 }) : jsonResponse({ message: "Bad credentials" }, 401)],
+    ["POST", new RegExp(`^${api}/app/installations/(\\d+)/access_tokens$`), (m, url, init) => {
+      if (!appAuth(init)) return jsonResponse({ message: "Bad credentials" }, 401);
+      assert.deepEqual(JSON.parse(init.body), { repositories: ["repo"] });
+      return jsonResponse({ token: `ghs_install${m[1]}`, expires_at: new Date(Date.now() + 3600_000).toISOString() }, 201);
+    }],
+    ["GET", new RegExp(`^${api}/repos/owner/repo/actions/runs/77$`), () => jsonResponse({ id: 77, status: "queued", conclusion: null })]
+  ]);
+  await env.SESSIONS_KV.put("run:77", JSON.stringify({ uid: "app-user", dispatch_id: "d77" }));
+  const token = await signer.sign({ sub: "app-user" });
+  const runStatus = () => call(worker, env, "GET", "/api/runs/77", { token });
+  const githubAuth = () => calls.filter(([, url]) => url.includes("/actions/runs/77")).map(([, , init]) => init.headers.Authorization);
+  return { env, jwts, calls, runStatus, githubAuth };
+}
+
+test("a PKCS#1 app key signs an RS256 JWT that is traded for a repo-scoped installation token", async () => {
+  const before = Math.floor(Date.now() / 1000);
+  const { env, jwts, runStatus, githubAuth } = await setup("1001", pkcs1);
+  assert.equal((await runStatus()).status, 200);
+
+  assert.equal(jwts.length, 2); // installation lookup, token exchange
+  for (const { verified, header, payload } of jwts) {
+    assert.ok(verified);
+    assert.deepEqual(header, { alg: "RS256", typ: "JWT" });
+    assert.equal(payload.iss, "1001");
+    // Backdated a minute, and within GitHub's 10-minute ceiling.
+    assert.ok(payload.iat <= before - 60 + 2 && payload.iat >= before - 60 - 2);
+    assert.equal(payload.exp - payload.iat, 600);
+  }
+  assert.deepEqual(githubAuth(), ["Bearer ghs_install55"]);
+
+  // The installation token is kept: the next GitHub call mints nothing.
+  await env.SESSIONS_KV.delete("status:77");
+  assert.equal((await runStatus()).status, 200);
+  assert.equal(jwts.length, 2);
+  assert.deepEqual(githubAuth(), ["Bearer ghs_install55", "Bearer ghs_install55"]);
+});
+
+test("PKCS#8 keys, one-line keys with literal \\n and a set installation id work too", async () => {
+  for (const [appId, pem] of [["1002", pkcs8], ["1003", pkcs1.trim().replace(/\n/g, "\\n")]]) {
+    const { jwts, runStatus, githubAuth } = await setup(appId, pem, { GITHUB_APP_INSTALLATION_ID: "77001" });
+    assert.equal((await runStatus()).status, 200, appId);
+    assert.equal(jwts.length, 1, appId); // no installation lookup
+    assert.ok(jwts[0].verified, appId);
+    assert.deepEqual(githubAuth(), ["Bearer ghs_install77001"], appId);
+  }
+});
+
+test("a rejected installation token is minted again on the next call", async () => {
+  const { env, jwts, runStatus, githubAuth } = await setup("1004", pkcs1);
+  assert.equal((await runStatus()).status, 200);
+  // Revoked: GitHub answers 401 once, and the Worker forgets the token.
+  const fetchOk = globalThis.fetch;
+  globalThis.fetch = async (input, init) => (String(input).includes("/actions/runs/77") ? jsonResponse({ message: "Bad credentials" }, 401) : fetchOk(input, init));
+  await env.SESSIONS_KV.delete("status:77");
+  const res = await runStatus();
+  assert.equal(res.status, 502);
+  assert.equal((await res.json()).code, "auth_failed");
+  globalThis.fetch = fetchOk;
+  await env.SESSIONS_KV.delete("status:77");
+  assert.equal((await runStatus()).status, 200);
+  assert.equal(jwts.length, 4);
+  assert.deepEqual(githubAuth(), ["Bearer ghs_install55", "Bearer ghs_install55"]);
+});
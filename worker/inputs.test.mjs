@@ -0,0 +1,78 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import worker from "./worker.js";
+import { makeEnv, makeSigner, mockFetch, jsonResponse, call, rtdbRoutes, githubRoutes } from "./testing.mjs";
+
+// A workflow with one input of each type the form knows; none of the VM size inputs, so no plan applies.
+const yml = `name: Typed
+on:
+  workflow_dispatch:
+    inputs:
+      region:
+        type: choice
+        required: true
+        options: [eu, us]
+      count:
+        type: number
+        default: "2"
+      debug:
+        type: boolean
+        default: "false"
+      note:
+        type: string
+        required: true
+jobs:
+  run:
+    runs-on: ubuntu-latest
+    steps:
+      - run: echo ok
+`;
+
+async function setup(uid) {
+  const env = makeEnv({ FIREBASE_JWKS_URL: `https://jwks.test/${uid}` }); // keys are cached per URL
+  const signer = await makeSigner(env.FIREBASE_PROJECT_ID);
+  const db = new Map([[`wallets/${uid}`, { balance: 1000 }]]);
+  const gh = { yml };
+  mockFetch([["GET", /^https:\/\/jwks\.test\//, () => jsonResponse(signer.jwks)], ...githubRoutes(gh), ...rtdbRoutes(db)]);
+  // Dispatches are rate limited per uid (4 in a burst): `as` signs in as another user; refusals never reach a wallet.
+  const dispatch = async (inputs, as = uid) =>
+    call(worker, env, "POST", "/api/dispatch", { token: await signer.sign({ sub: as }), body: { workflow: "windows", inputs } });
+  return { db, gh, dispatch };
+}
+
+test("inputs are refused for their type, choice and required rules before anything is charged", async () => {
+  const uid = "typed-inputs";
+  const { db, gh, dispatch } = await setup(uid);
+  const valid = { region: "eu", note: "hello" };
+  for (const [n, [inputs, error]] of [
+    [{ note: "hello" }, "Missing input: region"],
+    [{ region: "eu" }, "Missing input: note"],
+    [{ ...valid, note: "   " }, "Missing input: note"],
+    [{ ...valid, region: "asia" }, "Invalid value for region"],
+    [{ ...valid, count: "many" }, "count must be a number"],
+    [{ ...valid, count: true }, "count must be a number"],
+    [{ ...valid, debug: "yes" }, "debug must be true or false"],
+    [{ ...valid, note: "x".repeat(1025) }, "note is too long"],
+    [{ ...valid, extra: "1" }, "Unknown input: extra"],
+    [{ ...valid, dispatch_id: "mine" }, "Unknown input: dispatch_id"]
+  ].entries()) {
+    const res = await dispatch(inputs, `${uid}-${n}`);
+    assert.equal(res.status, 400, error);
+    assert.deepEqual(await res.json(), { error, code: "validation" });
+  }
+  assert.equal(gh.dispatches.length, 0);
+  assert.deepEqual([...db.keys()], [`wallets/${uid}`]); // no wallet, ledger or quota written
+});
+
+test("valid inputs go out as strings, with defaults filled in", async () => {
+  const uid = "typed-inputs-ok";
+  const { db, gh, dispatch } = await setup(uid);
+  db.set(`wallets/${uid}-2`, { balance: 1000 }); // one run at a time per user
+  assert.equal((await dispatch({ region: " us ", note: "hi", debug: true })).status, 200);
+  assert.equal((await dispatch({ region: "eu", note: "again", count: 3.5, debug: "false" }, `${uid}-2`)).status, 200);
+  const sent = gh.dispatches.map(({ inputs: { dispatch_id, ...rest } }) => rest);
+  assert.deepEqual(sent, [
+    { region: "us", count: "2", debug: "true", note: "hi" },
+    { region: "eu", count: "3.5", debug: "false", note: "again" }
+  ]);
+});
@@ -0,0 +1,165 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { deflateRawSync, crc32 } from "node:zlib";
+import worker from "./worker.js";
+import { makeEnv, makeSigner, mockFetch, jsonResponse, call, encryptForEnv } from "./testing.mjs";
+
+const PASSWORD = "Pa55word!xyz";
+
+// A zip as GitHub's log archives are laid out: local headers, central directory, end record. Local extra
+// fields differ in length from the central ones, and a trailing comment moves the end record off the tail.
+function makeZip(files, comment = "") {
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+  for (const { name, text, deflate = true } of files) {
+    const raw = Buffer.from(text);
+    const data = deflate ? deflateRawSync(raw) : raw;
+    const nameBytes = Buffer.from(name);
+    const head = (size, sig) => {
+      const b = Buffer.alloc(size);
+      b.writeUInt32LE(sig, 0);
+      return b;
+    };
+    const local = head(30, 0x04034b50);
+    local.writeUInt16LE(20, 4);
+    local.writeUInt16LE(deflate ? 8 : 0, 8);
+    local.writeUInt32LE(crc32(raw), 14);
+    local.writeUInt32LE(data.length, 18);
+    local.writeUInt32LE(raw.length, 22);
+    local.writeUInt16LE(nameBytes.length, 26);
+    local.writeUInt16LE(4, 28);
+    locals.push(local, nameBytes, Buffer.from([0xfe, 0xca, 0, 0]), data);
+
+    const central = head(46, 0x02014b50);
+    central.writeUInt16LE(20, 4);
+    central.writeUInt16LE(20, 6);
+    central.writeUInt16LE(deflate ? 8 : 0, 10);
+    central.writeUInt32LE(crc32(raw), 16);
+    central.writeUInt32LE(data.length, 20);
+    central.writeUInt32LE(raw.length, 24);
+    central.writeUInt16LE(nameBytes.length, 28);
+    central.writeUInt32LE(offset, 42);
+    centrals.push(central, nameBytes);
+    offset += 30 + nameBytes.length + 4 + data.length;
+  }
+  const directory = Buffer.concat(centrals);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(files.length, 8);
+  end.writeUInt16LE(files.length, 10);
+  end.writeUInt32LE(directory.length, 12);
+  end.writeUInt32LE(offset, 16);
+  end.writeUInt16LE(Buffer.byteLength(comment), 20);
+  return Buffer.concat([...locals, directory, end, Buffer.from(comment)]);
+}
+
+const T = (s) => `2031-01-15T12:00:${String(s).padStart(2, "0")}`;
+const job = (id, status = "completed") => ({
+  id,
+  name: "Build: RDP", // ":" can't be in an archive name, so its folder is "Build RDP"
+  status,
+  conclusion: status === "completed" ? "success" : null,
+  started_at: `${T(0)}Z`,
+  completed_at: status === "completed" ? `${T(30)}Z` : null,
+  steps: [
+    { number: 1, name: "Set up job", status: "completed", conclusion: "success", started_at: `${T(0)}Z`, completed_at: `${T(2)}Z` },
+    { number: 2, name: "Start", status: "completed", conclusion: "success", started_at: `${T(3)}Z`, completed_at: `${T(5)}Z` },
+    { number: 3, name: "Keepalive", status: "completed", conclusion: "success", started_at: `${T(6)}Z`, completed_at: `${T(30)}Z` }
+  ]
+});
+
+// The job's whole log: step 2 ran 12:00:03-12:00:05; a line without a timestamp continues the one before it.
+const JOB_LOG = [
+  `${T(1)}.1000000Z setting up`,
+  `${T(3)}.2000000Z starting with password=${PASSWORD}`,
+  "  continued line",
+  `${T(5)}.9000000Z Authorization: Bearer abcdefgh12345678`,
+  `${T(6)}.0000000Z keepalive`
+].join("\n");
+
+async function setup(uid, runId, { status = "completed", zip = null, jobStatus = "completed" } = {}) {
+  const env = makeEnv({ FIREBASE_JWKS_URL: `https://jwks.test/${uid}` }); // keys are cached per URL
+  const signer = await makeSigner(env.FIREBASE_PROJECT_ID);
+  const jobId = Number(runId) * 10;
+  const downloads = [];
+  const redirect = (to) => () => new Response(null, { status: 302, headers: { Location: to } });
+  mockFetch([
+    ["GET", /^https:\/\/jwks\.test\//, () => jsonResponse(signer.jwks)],
+    ["GET", /\/actions\/runs\/\d+\/jobs\?/, () => jsonResponse({ total_count: 1, jobs: [job(jobId, jobStatus)] })],
+    ["GET", /\/actions\/runs\/\d+\/logs$/, redirect("https://logs.test/run.zip")],
+    ["GET", /\/actions\/jobs\/\d+\/logs$/, redirect("https://logs.test/job.txt")],
+    ["GET", /^https:\/\/logs\.test\//, (m, url) => {
+      downloads.push(url.slice("https://logs.test/".length));
+      return new Response(url.endsWith(".zip") ? zip : JOB_LOG);
+    }]
+  ]);
+  await env.SESSIONS_KV.put(`run:${runId}`, JSON.stringify({ uid, dispatch_id: `d${runId}` }));
+  await env.SESSIONS_KV.put(`secret:d${runId}`, JSON.stringify(await encryptForEnv(env, PASSWORD)));
+  await env.SESSIONS_KV.put(`status:${runId}`, JSON.stringify({ id: Number(runId), status, conclusion: null, source: "webhook", received_at: Date.now() }));
+  const token = await signer.sign({ sub: uid });
+  const logs = async (step) => call(worker, env, "GET", `/api/runs/${runId}/logs?job=${jobId}&step=${step}`, { token });
+  return { env, downloads, logs };
+}
+
+test("a finished run's step log comes from its file in the run archive, redacted", async () => {
+  const zip = makeZip([
+    { name: "0_Build RDP.txt", text: JOB_LOG },
+    { name: "Build RDP/1_Set up job.txt", text: `${T(1)}.1Z setting up\n`, deflate: false },
+    {
+      name: "Build RDP/2_Start.txt",
+      text: [
+        `${T(3)}.2Z ::add-mask:: late, password: ${PASSWORD}`,
+        `${T(4)}.0Z token ghp_${"a".repeat(36)} and gh-token`,
+        `${T(4)}.5Z X-Signature: sha256=${"ab".repeat(32)}`,
+        `${T(5)}.0Z api_key="k-123456"`,
+        ""
+      ].join("\n")
+    }
+  ], "archive comment");
+  const { downloads, logs } = await setup("zip-reader", "88", { zip });
+  const res = await logs(2);
+  assert.equal(res.status, 200);
+  const { log } = await res.json();
+  assert.deepEqual(log, {
+    job_id: 880,
+    step: 2,
+    name: "Start",
+    available: true,
+    lines: [
+      "::add-mask:: late, password: ***",
+      "token *** and ***",
+      "X-Signature: sha256=***",
+      "api_key=\"***\""
+    ],
+    truncated: false
+  });
+  assert.deepEqual(downloads, ["run.zip"]);
+
+  // Stored (uncompressed) entries read the same way.
+  assert.deepEqual((await (await logs(1)).json()).log.lines, ["setting up"]);
+});
+
+test("without a step file, the job's file is cut to the step's seconds", async () => {
+  const zip = makeZip([{ name: "3_Build RDP.txt", text: JOB_LOG }]);
+  const { logs } = await setup("zip-job-file", "89", { zip });
+  assert.deepEqual((await (await logs(2)).json()).log.lines, [
+    "starting with password=***",
+    "  continued line",
+    "Authorization: Bearer ***" // 12:00:05.9 is within the widened last second
+  ]);
+  assert.deepEqual((await (await logs(3)).json()).log.lines, ["keepalive"]);
+});
+
+test("a running run's step log is cut from the job log", async () => {
+  const { downloads, logs } = await setup("job-log", "90", { status: "in_progress", jobStatus: "in_progress" });
+  assert.deepEqual((await (await logs(1)).json()).log.lines, ["setting up"]);
+  assert.deepEqual(downloads, ["job.txt"]);
+});
+
+test("an archive that isn't a zip is an upstream error", async () => {
+  const { logs } = await setup("not-a-zip", "91", { zip: Buffer.from("<html>maintenance</html>") });
+  const res = await logs(2);
+  assert.equal(res.status, 503);
+  assert.equal((await res.json()).code, "upstream_unavailable");
+});
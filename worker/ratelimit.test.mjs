@@ -0,0 +1,85 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import worker, { RateLimiter } from "./worker.js";
+import { makeEnv, call } from "./testing.mjs";
+
+// Durable Object storage double: put(key, value) or put(entries), one alarm time, deleteAll.
+function memoryStorage() {
+  const data = new Map();
+  return {
+    data,
+    alarm: null,
+    get: async (k) => data.get(k),
+    async put(k, v) {
+      for (const [key, value] of typeof k === "string" ? [[k, v]] : Object.entries(k)) data.set(key, value);
+    },
+    async setAlarm(ms) {
+      this.alarm = ms;
+    },
+    async deleteAll() {
+      data.clear();
+    }
+  };
+}
+
+// Durable Object namespace double: one RateLimiter per name, with in-memory storage.
+function rateLimiterNamespace() {
+  const objects = new Map();
+  return {
+    objects,
+    idFromName: (name) => name,
+    get(id) {
+      if (!objects.has(id)) objects.set(id, new RateLimiter({ storage: memoryStorage() }));
+      const obj = objects.get(id);
+      return { fetch: (url, init) => obj.fetch(new Request(url, init)) };
+    }
+  };
+}
+
+test("buckets live in the RATE_LIMITER object shared by every isolate", async () => {
+  const RATE_LIMITER = rateLimiterNamespace();
+  const env = makeEnv({ RATE_LIMITER });
+  const headers = { "CF-Connecting-IP": "203.0.113.7" };
+  for (let i = 0; i < 120; i++) assert.equal((await call(worker, env, "GET", "/api/health", { headers })).status, 200);
+  const res = await call(worker, env, "GET", "/api/health", { headers });
+  assert.equal(res.status, 429);
+  assert.ok(Number(res.headers.get("Retry-After")) >= 1);
+  assert.deepEqual([...RATE_LIMITER.objects.keys()], ["ip:203.0.113.7:default"]);
+
+  // This isolate's own buckets were never touched: without the object, the same IP starts full.
+  assert.equal((await call(worker, makeEnv(), "GET", "/api/health", { headers })).status, 200);
+});
+
+test("an unreachable RATE_LIMITER falls back to the isolate's buckets", async () => {
+  const env = makeEnv({
+    RATE_LIMITER: { idFromName: (name) => name, get: () => ({ fetch: async () => { throw new Error("object unavailable"); } }) }
+  });
+  const headers = { "CF-Connecting-IP": "203.0.113.8" };
+  for (let i = 0; i < 120; i++) assert.equal((await call(worker, env, "GET", "/api/health", { headers })).status, 200);
+  assert.equal((await call(worker, env, "GET", "/api/health", { headers })).status, 429);
+});
+
+test("an object's alarm deletes its bucket once it has refilled, not before", async (t) => {
+  let now = Date.UTC(2031, 0, 15, 12);
+  t.mock.method(Date, "now", () => now);
+  const storage = memoryStorage();
+  const limiter = new RateLimiter({ storage });
+  const spend = () => limiter.fetch(new Request("https://rate-limiter/", { method: "POST", body: JSON.stringify({ burst: 4, perMin: 6 }) }));
+
+  for (let i = 0; i < 2; i++) await spend();
+  assert.equal(storage.alarm, now + 20_000); // 2 tokens at 6 per minute
+  assert.equal(storage.data.get("bucket").tokens, 2);
+
+  // Spent again before the alarm: it moves the alarm out instead of deleting anything.
+  now += 10_000;
+  const firstAlarm = storage.alarm;
+  await spend();
+  now = firstAlarm;
+  await limiter.alarm();
+  assert.equal(storage.data.get("bucket").tokens, 2);
+  assert.equal(storage.alarm, firstAlarm + 10_000);
+
+  now = storage.alarm;
+  await limiter.alarm();
+  assert.equal(storage.data.size, 0);
+});
@@ -0,0 +1,92 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import worker from "./worker.js";
+import { makeEnv, mockFetch, rtdbRoutes, githubRoutes } from "./testing.mjs";
+
+// The sweep runs on the cron's clock, years away from the real one: anything that reads Date.now()
+// instead of the `now` it was given ends up on the wrong day, month or timestamp.
+const NOW = Date.UTC(2031, 0, 15, 12);
+const MIN = 60_000;
+const iso = (ms) => new Date(ms).toISOString();
+
+async function sweep(env) {
+  const pending = [];
+  await worker.scheduled({ scheduledTime: NOW }, env, { waitUntil: (p) => pending.push(p) });
+  return (await Promise.all(pending))[0];
+}
+
+test("a sweep settles, cancels and writes back on the cron's clock", async () => {
+  const env = makeEnv();
+  const gh = {
+    runs: [
+      { id: 901, status: "completed", conclusion: "success", run_started_at: iso(NOW - 70 * MIN), updated_at: iso(NOW - 10 * MIN) },
+      { id: 902, status: "in_progress", conclusion: null, run_started_at: iso(NOW - 7 * 60 * MIN), updated_at: iso(NOW - MIN) }
+    ]
+  };
+  const db = new Map([
+    ["quotas/carol", {
+      day: "2031-01-15",
+      dispatches: 2,
+      month: "2031-01",
+      minutes: 720,
+      active: {
+        d1: { minutes: 360, day: "2031-01-15", month: "2031-01", ends_at: NOW + 5 * 60 * MIN },
+        d2: { minutes: 360, day: "2031-01-15", month: "2031-01", ends_at: NOW + MIN }
+      }
+    }],
+    ["vps/carol/s1", { status: "running", runId: "901" }],
+    ["vps/carol/s2", { status: "running", runId: "902" }]
+  ]);
+  const calls = mockFetch([...githubRoutes(gh), ...rtdbRoutes(db)]);
+
+  const runs = [
+    ["901", "d1", "s1", { dispatched_at: iso(NOW - 75 * MIN), expires_at: NOW + 4 * 60 * MIN }],
+    ["902", "d2", "s2", { dispatched_at: iso(NOW - 7 * 60 * MIN), expires_at: NOW - 60 * MIN }]
+  ];
+  for (const [runId, dispatchId, sessionId, times] of runs) {
+    await env.SESSIONS_KV.put(`run:${runId}`, JSON.stringify({ uid: "carol", dispatch_id: dispatchId, session_id: sessionId, ...times }));
+    await env.SESSIONS_KV.put(`active:${dispatchId}`, JSON.stringify({ uid: "carol", run_id: runId, dispatched_at: times.dispatched_at }));
+  }
+
+  const summary = await sweep(env);
+  assert.deepEqual([summary.checked, summary.finished, summary.expired, summary.errors], [2, 1, 1, 0]);
+
+  // Finished: status read at NOW, quota settled for the 60 minutes it ran, session written back.
+  assert.equal((await env.SESSIONS_KV.get("status:901", "json")).fetched_at, NOW);
+  const usage = db.get("quotas/carol");
+  assert.deepEqual([usage.day, usage.dispatches, usage.minutes, Object.keys(usage.active)], ["2031-01-15", 2, 420, ["d2"]]);
+  assert.deepEqual(db.get("vps/carol/s1"), { status: "completed", runId: "901", lastTickMs: NOW, updatedAt: NOW });
+  assert.equal(await env.SESSIONS_KV.get("active:d1"), null);
+
+  // Expired: cancelled at NOW and audited at NOW.
+  assert.ok(calls.some(([method, url]) => method === "POST" && url.endsWith("/actions/runs/902/cancel")));
+  assert.deepEqual(await env.SESSIONS_KV.get("stop:902", "json"), { requested_at: NOW, deadline: NOW, acked_at: null, cancelled_at: NOW });
+  const audit = (await env.SESSIONS_KV.list({ prefix: "audit:" })).keys.map((k) => k.metadata);
+  assert.deepEqual(audit.map((e) => [e.action, e.run_id, e.ts, e.detail]), [["run.cancel", "902", NOW, "allowance expired"]]);
+  assert.equal(db.get("vps/carol/s2").status, "stopping");
+});
+
+test("each sweep carries on from where the last one stopped", async () => {
+  const env = makeEnv();
+  mockFetch([]);
+  const names = Array.from({ length: 30 }, (_, i) => `active:p${String(i).padStart(2, "0")}`);
+  for (const name of names) await env.SESSIONS_KV.put(name, JSON.stringify({ uid: "dave", run_id: null, dispatched_at: iso(NOW - MIN) }));
+
+  const checked = [];
+  const get = env.SESSIONS_KV.get.bind(env.SESSIONS_KV);
+  env.SESSIONS_KV.get = (key, type) => {
+    if (key.startsWith("active:")) checked.push(key);
+    return get(key, type);
+  };
+
+  assert.equal((await sweep(env)).pending, 25);
+  assert.deepEqual(checked.splice(0), names.slice(0, 25));
+  assert.ok(await get("reconcile:cursor"));
+
+  // The last 5, then around to the top for the rest of the batch.
+  assert.equal((await sweep(env)).pending, 25);
+  assert.deepEqual(checked.splice(0), [...names.slice(25), ...names.slice(0, 20)]);
+
+  await sweep(env);
+  assert.deepEqual(checked.splice(0).slice(0, 10), names.slice(20, 30));
+});
@@ -0,0 +1,132 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import worker from "./worker.js";
+import { makeEnv, makeSigner, mockFetch, jsonResponse, call, githubRoutes } from "./testing.mjs";
+
+const yml = fs.readFileSync(new URL("../workflow/WindowsRDP.patched.yml", import.meta.url), "utf8");
+
+async function setup(uid, overrides = [], owner = "owner") {
+  const env = makeEnv({ FIREBASE_JWKS_URL: `https://jwks.test/${uid}` }); // keys are cached per URL
+  const signer = await makeSigner(env.FIREBASE_PROJECT_ID);
+  const gh = { runs: [{ id: 77, status: "in_progress", conclusion: null, html_url: "https://github.com/o/r/actions/runs/77" }] };
+  const calls = mockFetch([["GET", /^https:\/\/jwks\.test\//, () => jsonResponse(signer.jwks)], ...overrides, ...githubRoutes(gh)]);
+  await env.SESSIONS_KV.put("run:77", JSON.stringify({ uid: owner, dispatch_id: "d77" }));
+  return { env, gh, calls, token: await signer.sign({ sub: uid }) };
+}
+
+async function auditEntries(env) {
+  await new Promise((r) => setImmediate(r)); // written through ctx.waitUntil
+  return (await env.SESSIONS_KV.list({ prefix: "audit:" })).keys.map((k) => k.metadata);
+}
+
+test("another user's run is 403 on status, cancel and connection, and GitHub is never asked", async () => {
+  const { env, gh, calls, token } = await setup("intruder");
+  await env.SESSIONS_KV.put("conn:77", JSON.stringify({ endpoints: [{ protocol: "rdp", address: "203.0.113.9:3389" }] }));
+  for (const [method, path] of [
+    ["GET", "/api/runs/77"],
+    ["POST", "/api/runs/77/cancel"],
+    ["GET", "/api/runs/77/connection"],
+    ["GET", "/api/runs/404"] // a run nobody dispatched is nobody's
+  ]) {
+    const res = await call(worker, env, method, path, { token });
+    assert.equal(res.status, 403, `${method} ${path}`);
+    assert.deepEqual(await res.json(), { error: "Forbidden", code: "forbidden" });
+  }
+  assert.ok(!calls.some(([, url]) => url.startsWith("https://api.github.com/")));
+  assert.equal(gh.runs[0].status, "in_progress");
+
+  const denied = (await auditEntries(env)).map((e) => [e.action, e.uid, e.run_id, e.result]).sort();
+  assert.deepEqual(denied, [["connection.read", "intruder", "77", "denied"], ["run.cancel", "intruder", "77", "denied"]]);
+});
+
+test("the run's owner gets through on the same routes", async () => {
+  const { env, gh, token } = await setup("owner");
+  await env.SESSIONS_KV.put("conn:77", JSON.stringify({ endpoints: [{ protocol: "rdp", address: "203.0.113.9:3389" }] }));
+  assert.equal((await call(worker, env, "GET", "/api/runs/77", { token })).status, 200);
+  const conn = await call(worker, env, "GET", "/api/runs/77/connection", { token });
+  assert.equal(conn.status, 200);
+  assert.equal((await conn.json()).endpoints[0].address, "203.0.113.9:3389");
+  assert.equal((await call(worker, env, "POST", "/api/runs/77/cancel", { token })).status, 200);
+  assert.equal(gh.runs[0].conclusion, "cancelled");
+});
+
+// GitHub's conditional GETs: an ETag per representation, 304 with no body when If-None-Match still matches.
+function conditional(etag, body) {
+  return (m, url, init) => (init.headers["If-None-Match"] === etag
+    ? new Response(null, { status: 304, headers: { ETag: etag } })
+    : jsonResponse(body(), 200, { ETag: etag }));
+}
+
+test("run status is revalidated with GitHub by ETag, and with the browser the same way", async (t) => {
+  let now = Date.now();
+  t.mock.method(Date, "now", () => now);
+  const run = { id: 77, status: "in_progress", conclusion: null, html_url: "https://github.com/o/r/actions/runs/77" };
+  const { env, calls, token } = await setup("etag-owner", [
+    ["GET", /\/actions\/runs\/77$/, (m, url, init) => conditional(`"${run.status}"`, () => run)(m, url, init)]
+  ], "etag-owner");
+  const statusCalls = () => calls.filter(([, url]) => url.endsWith("/actions/runs/77")).map(([, , init]) => init.headers["If-None-Match"] ?? null);
+  const get = (etag) => call(worker, env, "GET", "/api/runs/77", { token, headers: etag ? { "If-None-Match": etag } : {} });
+
+  const first = await get();
+  assert.equal(first.status, 200);
+  assert.equal(first.headers.get("Cache-Control"), "private, no-cache");
+  const etag = first.headers.get("ETag");
+  const body = await first.json();
+  assert.equal(body.status, "in_progress");
+  assert.equal(body.etag, undefined); // GitHub's ETag is bookkeeping, not part of the run
+  assert.deepEqual(statusCalls(), [null]);
+
+  // Within STATUS_API_TTL_MS: from KV, and the browser's copy is still good.
+  const again = await get(etag);
+  assert.equal(again.status, 304);
+  assert.equal(await again.text(), "");
+  assert.equal((await get(`W/${etag}, "other"`)).status, 304);
+  assert.deepEqual(statusCalls(), [null]);
+
+  // Past it: revalidated with GitHub, whose 304 keeps the same body and so the same ETag for the browser.
+  now += 31_000;
+  const revalidated = await get(etag);
+  assert.equal(revalidated.status, 304);
+  assert.deepEqual(statusCalls(), [null, '"in_progress"']);
+  assert.equal((await env.SESSIONS_KV.get("status:77", "json")).fetched_at, now);
+
+  // The run finishes: GitHub sends the new representation, the browser gets it once, then keeps it for good.
+  Object.assign(run, { status: "completed", conclusion: "success" });
+  now += 31_000;
+  const done = await get(etag);
+  assert.equal(done.status, 200);
+  assert.notEqual(done.headers.get("ETag"), etag);
+  assert.equal(done.headers.get("Cache-Control"), "private, max-age=31536000, immutable");
+  assert.equal((await done.json()).conclusion, "success");
+  assert.equal((await get(done.headers.get("ETag"))).status, 304);
+  assert.deepEqual(statusCalls(), [null, '"in_progress"', '"in_progress"']);
+});
+
+test("the workflow file is revalidated by ETag, and /api/config answers the browser's If-None-Match", async (t) => {
+  let now = Date.now();
+  t.mock.method(Date, "now", () => now);
+  const { env, calls, token } = await setup("config-reader", [
+    ["GET", /\/contents\//, conditional('"yml-1"', () => ({ content: Buffer.from(yml).toString("base64") }))]
+  ]);
+  const fileCalls = () => calls.filter(([, url]) => url.includes("/contents/")).map(([, , init]) => init.headers["If-None-Match"] ?? null);
+  const get = (etag) => call(worker, env, "GET", "/api/config", { token, headers: etag ? { "If-None-Match": etag } : {} });
+
+  const first = await get();
+  assert.equal(first.status, 200);
+  assert.equal(first.headers.get("Cache-Control"), "public, max-age=60");
+  const etag = first.headers.get("ETag");
+  assert.equal((await first.json()).workflows[0].sized, true);
+
+  assert.equal((await get(etag)).status, 304);
+  assert.deepEqual(fileCalls(), [null]);
+
+  // A minute on, GitHub is asked again with the stored ETag; its 304 is not a new file.
+  now += 61_000;
+  assert.equal((await get(etag)).status, 304);
+  assert.deepEqual(fileCalls(), [null, '"yml-1"']);
+  const [{ name }] = (await env.SESSIONS_KV.list({ prefix: "gh:" })).keys.filter((k) => k.name.includes("/contents/"));
+  const entry = await env.SESSIONS_KV.get(name, "json");
+  assert.deepEqual([entry.etag, entry.checked_at], ['"yml-1"', now]);
+  assert.equal((await get('"stale"')).status, 200);
+});
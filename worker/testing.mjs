@@ -0,0 +1,219 @@
+// Test doubles for worker/*.test.mjs (node --test): in-memory KV, a routing fetch mock and Firebase-style
+// ID tokens signed with a locally generated key, served through FIREBASE_JWKS_URL.
+
+export class MemoryKV {
+  constructor() {
+    this.map = new Map();
+  }
+  async get(key, type) {
+    const e = this.map.get(key);
+    if (!e) return null;
+    return type === "json" ? JSON.parse(e.value) : e.value;
+  }
+  async getWithMetadata(key, type) {
+    const e = this.map.get(key);
+    return { value: e ? (type === "json" ? JSON.parse(e.value) : e.value) : null, metadata: e?.metadata ?? null };
+  }
+  async put(key, value, opts = {}) {
+    this.map.set(key, { value: String(value), metadata: opts.metadata ?? null });
+  }
+  async delete(key) {
+    this.map.delete(key);
+  }
+  async list({ prefix = "", limit = 1000, cursor } = {}) {
+    const keys = [...this.map.keys()].filter((k) => k.startsWith(prefix)).sort();
+    const start = cursor ? Number(cursor) : 0;
+    const done = start + limit >= keys.length;
+    return {
+      keys: keys.slice(start, start + limit).map((name) => ({ name, metadata: this.map.get(name).metadata })),
+      list_complete: done,
+      cursor: done ? undefined : String(start + limit)
+    };
+  }
+}
+
+// routes: [[method, RegExp, (match, url, init) => Response]]; anything unmatched fails the test.
+// A handler that returns undefined passes the call on to the next matching route.
+// Returns the list of calls made, as [method, url, init].
+export function mockFetch(routes) {
+  const calls = [];
+  globalThis.fetch = async (input, init = {}) => {
+    const url = String(input);
+    const method = init.method || "GET";
+    calls.push([method, url, init]);
+    for (const [m, re, handler] of routes) {
+      const match = (m === "*" || m === method) && url.match(re);
+      const res = match ? await handler(match, url, init) : undefined;
+      if (res) return res;
+    }
+    throw new Error(`unexpected fetch ${method} ${url}`);
+  };
+  return calls;
+}
+
+export function jsonResponse(body, status = 200, headers = {}) {
+  return new Response(JSON.stringify(body), { status, headers: { "Content-Type": "application/json", ...headers } });
+}
+
+const b64url = (bytes) => Buffer.from(bytes).toString("base64url");
+
+export async function makeSigner(projectId, kid = "test-key") {
+  const pair = await crypto.subtle.generateKey(
+    { name: "RSASSA-PKCS1-v1_5", modulusLength: 2048, publicExponent: new Uint8Array([1, 0, 1]), hash: "SHA-256" },
+    true,
+    ["sign", "verify"]
+  );
+  const jwk = await crypto.subtle.exportKey("jwk", pair.publicKey);
+  return {
+    jwks: { keys: [{ kty: "RSA", n: jwk.n, e: jwk.e, kid, alg: "RS256" }] },
+    async sign(claims = {}, header = {}) {
+      const now = Math.floor(Date.now() / 1000);
+      const h = b64url(JSON.stringify({ alg: "RS256", kid, ...header }));
+      const p = b64url(JSON.stringify({
+        aud: projectId,
+        iss: `https://securetoken.google.com/${projectId}`,
+        sub: "user-1",
+        iat: now,
+        exp: now + 3600,
+        ...claims
+      }));
+      const sig = await crypto.subtle.sign("RSASSA-PKCS1-v1_5", pair.privateKey, new TextEncoder().encode(`${h}.${p}`));
+      return `${h}.${p}.${b64url(new Uint8Array(sig))}`;
+    }
+  };
+}
+
+export function makeEnv(extra = {}) {
+  return {
+    SESSIONS_KV: new MemoryKV(),
+    FIREBASE_PROJECT_ID: "test-project",
+    FIREBASE_JWKS_URL: "https://jwks.test/keys",
+    FIREBASE_DB_URL: "https://db.test",
+    FIREBASE_DB_SECRET: "db-secret",
+    GITHUB_TOKEN: "gh-token",
+    GITHUB_OWNER: "owner",
+    GITHUB_REPO: "repo",
+    WEBHOOK_SECRET: "webhook-secret",
+    GITHUB_WEBHOOK_SECRET: "github-webhook-secret",
+    PASSWORD_KEY: Buffer.from(new Uint8Array(32).fill(7)).toString("base64"),
+    ...extra
+  };
+}
+
+export const ctx = { waitUntil() {} };
+
+export function call(worker, env, method, path, { token, body, headers = {} } = {}) {
+  const h = { ...headers };
+  if (token) h.Authorization = `Bearer ${token}`;
+  if (body !== undefined) h["Content-Type"] = "application/json";
+  return worker.fetch(new Request(`https://worker.test${path}`, {
+    method,
+    headers: h,
+    body: body === undefined ? undefined : JSON.stringify(body)
+  }), env, ctx);
+}
+
+// A workflow webhook call signed the way the runner's webhook.sh signs it (see verifyWorkflowCall).
+export async function signedCall(worker, env, method, target, body, { ts = Math.floor(Date.now() / 1000), nonce } = {}) {
+  const raw = body === undefined ? "" : JSON.stringify(body);
+  const n = nonce || Buffer.from(crypto.getRandomValues(new Uint8Array(16))).toString("hex");
+  const key = await crypto.subtle.importKey("raw", new TextEncoder().encode(env.WEBHOOK_SECRET), { name: "HMAC", hash: "SHA-256" }, false, ["sign"]);
+  const mac = new Uint8Array(await crypto.subtle.sign("HMAC", key, new TextEncoder().encode(`${ts}.${n}.${target}.${raw}`)));
+  const headers = { "X-Timestamp": String(ts), "X-Nonce": n, "X-Signature": `sha256=${Buffer.from(mac).toString("hex")}` };
+  if (raw) headers["Content-Type"] = "application/json";
+  return worker.fetch(new Request(`https://worker.test${target}`, { method, headers, body: raw || undefined }), env, ctx);
+}
+
+export async function encryptForEnv(env, plaintext) {
+  // Same format as the Worker's encryptSecret: AES-GCM with PASSWORD_KEY, base64 iv + ct.
+  const key = await crypto.subtle.importKey("raw", Buffer.from(env.PASSWORD_KEY, "base64"), "AES-GCM", false, ["encrypt"]);
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const ct = await crypto.subtle.encrypt({ name: "AES-GCM", iv }, key, new TextEncoder().encode(plaintext));
+  return { iv: Buffer.from(iv).toString("base64"), ct: Buffer.from(new Uint8Array(ct)).toString("base64") };
+}
+
+// Firebase RTDB REST double. `db` maps a path ("wallets/alice") to its value; supports the ETag
+// compare-and-set dbTransaction uses, POST push ids and PATCH.
+export function rtdbRoutes(db = new Map()) {
+  const versions = new Map();
+  let pushId = 0;
+  const etagOf = (path) => `"v${versions.get(path) || 0}"`;
+  const write = (path, value) => {
+    if (value === null) db.delete(path);
+    else db.set(path, value);
+    versions.set(path, (versions.get(path) || 0) + 1);
+  };
+  return [["*", /^https:\/\/db\.test\/(.+?)\.json/, (m, url, init = {}) => {
+    const path = decodeURIComponent(m[1]);
+    const method = init.method || "GET";
+    const headers = new Headers(init.headers);
+    const body = init.body === undefined ? undefined : JSON.parse(init.body);
+    if (method === "GET") return jsonResponse(db.get(path) ?? null, 200, { ETag: etagOf(path) });
+    if (method === "PUT") {
+      const ifMatch = headers.get("if-match");
+      if (ifMatch && ifMatch !== etagOf(path)) return jsonResponse({ error: "etag mismatch" }, 412);
+      write(path, body);
+      return jsonResponse(body);
+    }
+    if (method === "PATCH") {
+      write(path, { ...(db.get(path) || {}), ...body });
+      return jsonResponse(body);
+    }
+    if (method === "POST") {
+      const name = `-push${String(++pushId).padStart(6, "0")}`;
+      write(path, { ...(db.get(path) || {}), [name]: body });
+      return jsonResponse({ name });
+    }
+    if (method === "DELETE") {
+      write(path, null);
+      return jsonResponse(null);
+    }
+    throw new Error(`unexpected RTDB ${method} ${path}`);
+  }]];
+}
+
+// GitHub REST double for the Actions calls the Worker makes. gh: { yml, runs: [], dispatches: [] };
+// each dispatch creates a queued run titled with its dispatch id, like the patched workflow's run-name.
+export function githubRoutes(gh) {
+  gh.runs ||= [];
+  gh.dispatches ||= [];
+  const api = "https://api\\.github\\.com/repos/[^/]+/[^/]+";
+  return [
+    ["GET", new RegExp(`^${api}/contents/`), () => jsonResponse({ content: Buffer.from(gh.yml).toString("base64") })],
+    ["GET", new RegExp(`^${api}/environments`), () => jsonResponse({ environments: [] })],
+    ["POST", new RegExp(`^${api}/actions/workflows/[^/]+/dispatches$`), (m, url, init) => {
+      const payload = JSON.parse(init.body);
+      gh.dispatches.push(payload);
+      const id = 1000 + gh.runs.length;
+      gh.runs.push({
+        id,
+        html_url: `https://github.com/o/r/actions/runs/${id}`,
+        display_title: `Windows RDP • ${payload.inputs.dispatch_id || ""}`,
+        status: "queued",
+        conclusion: null,
+        created_at: new Date().toISOString(),
+        updated_at: new Date().toISOString()
+      });
+      return new Response(null, { status: 204 });
+    }],
+    ["GET", new RegExp(`^${api}/actions/workflows/[^/]+/runs`), () => jsonResponse({ total_count: gh.runs.length, workflow_runs: [...gh.runs].reverse() })],
+    ["GET", new RegExp(`^${api}/actions/runs/(\\d+)$`), (m) => {
+      const run = gh.runs.find((r) => String(r.id) === m[1]);
+      return run ? jsonResponse(run, 200, { ETag: `"${run.status}-${run.conclusion}"` }) : jsonResponse({ message: "Not Found" }, 404);
+    }],
+    ["POST", new RegExp(`^${api}/actions/runs/(\\d+)/cancel$`), (m) => {
+      const run = gh.runs.find((r) => String(r.id) === m[1]);
+      if (run) Object.assign(run, { status: "completed", conclusion: "cancelled" });
+      return new Response(null, { status: 202 });
+    }]
+  ];
+}
+
+export function rateLimited() {
+  // GitHub's primary rate limit: no retry, surfaces as rate_limited. Resets right away, so the Worker's
+  // budget tracking (module state shared by the tests of a file) doesn't carry over to the next call.
+  return jsonResponse({ message: "API rate limit exceeded" }, 403, {
+    "X-RateLimit-Remaining": "0",
+    "X-RateLimit-Reset": String(Math.floor(Date.now() / 1000))
+  });
+}
@@ -0,0 +1,154 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import worker from "./worker.js";
+import { makeEnv, makeSigner, signedCall, encryptForEnv, call, mockFetch, jsonResponse, githubRoutes, rtdbRoutes } from "./testing.mjs";
+
+async function dispatched(env, dispatchId, password, extra = {}) {
+  await env.SESSIONS_KV.put(`dispatch:${dispatchId}`, JSON.stringify({ uid: "alice", dispatched_at: new Date().toISOString(), run_id: null, ...extra }));
+  await env.SESSIONS_KV.put(`secret:${dispatchId}`, JSON.stringify(await encryptForEnv(env, password)));
+}
+
+test("secret webhook hands the run its password and links the run", async () => {
+  const env = makeEnv();
+  await dispatched(env, "d1", "Pa55word!xyz");
+  const res = await signedCall(worker, env, "GET", "/api/webhook/secret?dispatch_id=d1&run_id=501");
+  assert.equal(res.status, 200);
+  assert.deepEqual(await res.json(), { password: "Pa55word!xyz" });
+  assert.equal((await env.SESSIONS_KV.get("run:501", "json")).dispatch_id, "d1");
+});
+
+test("secret webhook refuses unsigned calls, replays and other dispatches' runs", async () => {
+  const env = makeEnv();
+  await dispatched(env, "d1", "Pa55word!xyz", { run_id: 501 });
+  await dispatched(env, "d2", "0ther!pass99");
+  await env.SESSIONS_KV.put("run:501", JSON.stringify({ uid: "alice", dispatch_id: "d1" }));
+
+  assert.equal((await call(worker, env, "GET", "/api/webhook/secret?dispatch_id=d1&run_id=501")).status, 401);
+  const nonce = "ab".repeat(16);
+  assert.equal((await signedCall(worker, env, "GET", "/api/webhook/secret?dispatch_id=d1&run_id=501", undefined, { nonce })).status, 200);
+  assert.equal((await signedCall(worker, env, "GET", "/api/webhook/secret?dispatch_id=d1&run_id=501", undefined, { nonce })).status, 401);
+  assert.equal((await signedCall(worker, env, "GET", "/api/webhook/secret?dispatch_id=d2&run_id=501")).status, 404);
+  assert.equal((await signedCall(worker, env, "GET", "/api/webhook/secret?dispatch_id=nope&run_id=777")).status, 404);
+});
+
+test("secret webhook hands a disk's runs its key, which the disk list never shows", async () => {
+  const env = makeEnv({ FIREBASE_JWKS_URL: "https://jwks.test/disk-key" });
+  const signer = await makeSigner(env.FIREBASE_PROJECT_ID);
+  mockFetch([["GET", /^https:\/\/jwks\.test\//, () => jsonResponse(signer.jwks)]]);
+  const disk_key = await encryptForEnv(env, "k".repeat(64));
+  await env.SESSIONS_KV.put("snapshots:alice", JSON.stringify([{ id: "snap_1", created_at: Date.now(), disk_key }]));
+  await dispatched(env, "d3", "Pa55word!xyz", { snapshot_id: "snap_1" });
+
+  const res = await signedCall(worker, env, "GET", "/api/webhook/secret?dispatch_id=d3&run_id=503");
+  assert.deepEqual(await res.json(), { password: "Pa55word!xyz", disk_key: "k".repeat(64) });
+
+  const list = await (await call(worker, env, "GET", "/api/snapshots", { token: await signer.sign({ sub: "alice" }) })).json();
+  assert.equal(list.snapshots[0].id, "snap_1");
+  assert.equal("disk_key" in list.snapshots[0], false);
+});
+
+test("stop poll is signed but stores no nonce", async () => {
+  const env = makeEnv();
+  await env.SESSIONS_KV.put("run:504", JSON.stringify({ uid: "alice", dispatch_id: "d4" }));
+  const nonce = "cd".repeat(16);
+  for (let i = 0; i < 2; i++) {
+    const res = await signedCall(worker, env, "GET", "/api/webhook/stop?run_id=504", undefined, { nonce });
+    assert.deepEqual(await res.json(), { stop: false });
+  }
+  assert.equal((await env.SESSIONS_KV.list({ prefix: "nonce:" })).keys.length, 0);
+  assert.equal((await call(worker, env, "GET", "/api/webhook/stop?run_id=504")).status, 401);
+  const stale = Math.floor(Date.now() / 1000) - 600;
+  assert.equal((await signedCall(worker, env, "GET", "/api/webhook/stop?run_id=504", undefined, { ts: stale })).status, 401);
+});
+
+async function githubDelivery(env, event, raw) {
+  const key = await crypto.subtle.importKey("raw", new TextEncoder().encode(env.GITHUB_WEBHOOK_SECRET), { name: "HMAC", hash: "SHA-256" }, false, ["sign"]);
+  const mac = Buffer.from(new Uint8Array(await crypto.subtle.sign("HMAC", key, new TextEncoder().encode(raw)))).toString("hex");
+  return worker.fetch(new Request("https://worker.test/api/webhook/github", {
+    method: "POST",
+    headers: { "X-GitHub-Event": event, "X-Hub-Signature-256": `sha256=${mac}`, "Content-Type": "application/json" },
+    body: raw
+  }), env, { waitUntil() {} });
+}
+
+test("github webhook answers 400 validation to a signed body that isn't JSON", async () => {
+  const env = makeEnv();
+  const res = await githubDelivery(env, "workflow_run", "not json{");
+  assert.equal(res.status, 400);
+  assert.equal((await res.json()).code, "validation");
+});
+
+test("webhook-fed status is asked from the API again once no delivery came for a while", async (t) => {
+  const env = makeEnv({ FIREBASE_JWKS_URL: "https://jwks.test/webhook-status" });
+  const signer = await makeSigner(env.FIREBASE_PROJECT_ID);
+  const gh = { runs: [{ id: 700, status: "completed", conclusion: "success", updated_at: new Date().toISOString() }] };
+  const calls = mockFetch([["GET", /^https:\/\/jwks\.test\//, () => jsonResponse(signer.jwks)], ...githubRoutes(gh), ...rtdbRoutes()]);
+  const apiReads = () => calls.filter(([, url]) => url.endsWith("/actions/runs/700")).length;
+  await env.SESSIONS_KV.put("run:700", JSON.stringify({ uid: "alice", dispatch_id: "d7" }));
+  const token = await signer.sign({ sub: "alice" });
+
+  const raw = JSON.stringify({ workflow_run: { id: 700, path: ".github/workflows/WindowsRDP.yml", status: "in_progress", updated_at: new Date().toISOString() } });
+  assert.equal((await githubDelivery(env, "workflow_run", raw)).status, 200);
+  let res = await call(worker, env, "GET", "/api/runs/700", { token });
+  assert.equal((await res.json()).status, "in_progress");
+  assert.equal(apiReads(), 0);
+
+  // the "completed" delivery never arrives
+  const realNow = Date.now;
+  t.after(() => (Date.now = realNow));
+  Date.now = () => realNow() + 11 * 60_000;
+  res = await call(worker, env, "GET", "/api/runs/700", { token: await signer.sign({ sub: "alice" }) });
+  assert.equal((await res.json()).status, "completed");
+  assert.equal(apiReads(), 1);
+});
+
+test("connection webhook normalizes endpoints and takes the legacy rdp/web fields", async () => {
+  const env = makeEnv();
+  await env.SESSIONS_KV.put("run:601", JSON.stringify({ uid: "alice", dispatch_id: "d601" }));
+  const post = (body) => signedCall(worker, env, "POST", "/api/webhook/connection", { run_id: "601", ...body });
+  const stored = async () => (await env.SESSIONS_KV.get("conn:601", "json")).endpoints;
+
+  assert.equal((await post({
+    endpoints: [
+      { protocol: " RDP ", address: " 203.0.113.5:41234 ", port: "3389", provider: "kami", label: "x".repeat(80) },
+      { protocol: "tcp", address: "bore.pub:5000", client: "cloudflared access rdp --hostname h --url localhost:3389" },
+      { protocol: "https", address: "https://abc.trycloudflare.com" }
+    ]
+  })).status, 200);
+  assert.deepEqual(await stored(), [
+    { protocol: "rdp", address: "203.0.113.5:41234", port: 3389, provider: "kami", label: "x".repeat(64), client: "" },
+    { protocol: "tcp", address: "bore.pub:5000", port: null, provider: "", label: "", client: "cloudflared access rdp --hostname h --url localhost:3389" },
+    { protocol: "https", address: "https://abc.trycloudflare.com", port: null, provider: "", label: "", client: "" }
+  ]);
+
+  assert.equal((await post({ rdp_public_ip: "203.0.113.5:3389", web: "203.0.113.5:8006" })).status, 200);
+  assert.deepEqual(await stored(), [
+    { protocol: "rdp", address: "203.0.113.5:3389", port: 3389, provider: "", label: "", client: "" },
+    { protocol: "http", address: "http://203.0.113.5:8006", port: 8006, provider: "", label: "", client: "" }
+  ]);
+  assert.equal((await post({})).status, 200);
+  assert.deepEqual(await stored(), []);
+});
+
+test("connection webhook refuses malformed endpoint lists and keeps the last good one", async () => {
+  const env = makeEnv();
+  await env.SESSIONS_KV.put("run:602", JSON.stringify({ uid: "alice", dispatch_id: "d602" }));
+  const good = [{ protocol: "rdp", address: "203.0.113.6:3389" }];
+  assert.equal((await signedCall(worker, env, "POST", "/api/webhook/connection", { run_id: "602", endpoints: good })).status, 200);
+
+  const tooMany = Array.from({ length: 9 }, (_, i) => ({ protocol: "tcp", address: `h:${i}` }));
+  for (const endpoints of [
+    "rdp://203.0.113.6",
+    { protocol: "rdp", address: "203.0.113.6:3389" },
+    tooMany,
+    [{ protocol: "ssh", address: "203.0.113.6:22" }],
+    [{ protocol: "rdp", address: "   " }],
+    [{ protocol: "http", address: "203.0.113.6:8006" }],
+    [null]
+  ]) {
+    const res = await signedCall(worker, env, "POST", "/api/webhook/connection", { run_id: "602", endpoints });
+    assert.equal(res.status, 400, JSON.stringify(endpoints));
+    assert.deepEqual(await res.json(), { error: "Invalid endpoints", code: "validation" });
+  }
+  assert.equal((await env.SESSIONS_KV.get("conn:602", "json")).endpoints[0].address, "203.0.113.6:3389");
+});
@@ -1,149 +1,730 @@
 // Cloudflare Worker — GitHub Actions proxy + webhook store (KV)
 // Endpoints:
 //  GET  /api/health
-//  GET  /api/config                  (reads workflow yml from GitHub, extracts input options)
-//  POST /api/dispatch                (dispatch workflow_dispatch, returns dispatch_id + maybe run_id)
+//  GET  /api/config                  (workflow catalog: each workflow's yml from GitHub -> typed input schema)
+//  POST /api/dispatch                ({ workflow, inputs, plan } -> workflow_dispatch, returns dispatch_id + maybe run_id)
 //  GET  /api/dispatch/:id/resolve    (resolve run_id for dispatch_id)
-//  GET  /api/runs/:runId             (run status)
-//  POST /api/runs/:runId/cancel      (cancel run)
-//  POST /api/webhook/connection      (called by GitHub Actions to store connection info) -> KV key conn:<runId>
-//  GET  /api/runs/:runId/connection  (reads KV connection info)
+//  GET  /api/runs/:runId             (run status: KV status:<runId> kept fresh by the GitHub webhook, else GitHub API)
+//  POST /api/runs/:runId/stop        (graceful stop: the run polls for it, saves and shuts down; cancelled after a grace period)
+//  POST /api/runs/:runId/cancel      (cancel run right away)
+//  POST /api/runs/:runId/extend      (continuation run for the same session, in the last 30 min; costs points)
+//  POST /api/webhook/connection      (called by GitHub Actions with its tunnel endpoints) -> KV key conn:<runId>
+//  GET  /api/webhook/stop?run_id=    (polled by GitHub Actions: has a graceful stop been requested?) <- KV stop:<runId>
+//  GET  /api/webhook/secret?dispatch_id=&run_id= (called by GitHub Actions first thing: the run's password) <- KV secret:<dispatch_id>
+//  GET  /api/runs/:runId/connection  (reads KV connection info + decrypted per-run password)
+//  GET  /api/runs/:runId/events      (Server-Sent Events: status / connection / remaining)
+//  GET  /api/runs/:runId/logs        (jobs + steps with durations, and the redacted tail of one step's log; ?job= &step= &lines=)
+//  Run-scoped routes (/api/runs/:runId/*, resolve) answer 403 unless the caller owns the run:
+//  KV dispatch:<id> and run:<runId> both carry the dispatching uid.
+//  POST /api/webhook/github          (GitHub workflow_run / workflow_job events, HMAC-verified) -> KV status:<runId>
+//  GET  /api/points                  (wallet: balance + task cooldowns)
+//  POST /api/points/award            (award a task reward, server-side rules)
+//  GET  /api/points/ledger           (latest ledger entries)
+//  GET  /api/snapshots               (persistent disks of the caller)
+//  DELETE /api/snapshots/:id         (delete a persistent disk + its artifacts)
+//  POST /api/webhook/snapshot        (called by GitHub Actions after saving a disk) -> KV snapshots:<uid>
+//  GET  /api/quota                   (caller's quota limits and current usage)
+//  scheduled (cron)                  (reconcile: sweep KV active:<dispatch_id>, sync run state back to RTDB vps/<uid>/<session_id>)
+//  GET  /api/audit                   (admins: run lifecycle audit trail, newest first; ?uid= &run_id= &from= &to= &cursor= &limit=)
+//
+// Every route except PUBLIC_ROUTES requires `Authorization: Bearer <Firebase ID token>`.
+// Webhooks are public here because they carry their own signature (GitHub: X-Hub-Signature-256,
+// the workflow: X-Signature over timestamp + nonce, see verifyWorkflowCall).
+// GitHub calls authenticate as a GitHub App installation when one is configured, else with GITHUB_TOKEN
+// (see ghAuthorization).
+// Same YAML parser as the frontends (classic script: registers globalThis.WorkflowYaml).
+import "../public/workflow-yaml.js";
+
+// Errors a route can throw: the router answers { error, code } with the code's HTTP status (plus Retry-After
+// when known). Codes are stable, the frontend maps them to messages; anything else is a 500 "internal" whose
+// details only go to the log.
+const ERROR_STATUS = {
+  validation: 400,
+  unauthorized: 401,
+  insufficient_points: 402,
+  forbidden: 403,
+  not_found: 404,
+  conflict: 409,
+  gone: 410,
+  cooldown: 429,
+  rate_limited: 429,
+  auth_failed: 502, // the Worker's own GitHub credential was refused: not the caller's fault
+  upstream_unavailable: 503,
+  internal: 500
+};
+
+class ApiError extends Error {
+  constructor(code, message, { retryAfter = 0 } = {}) {
+    super(message);
+    this.code = code;
+    this.status = ERROR_STATUS[code] || 500;
+    this.retryAfter = retryAfter; // seconds, 0 = unknown
+  }
+}
+
+// GitHub calls retry with jittered exponential backoff: network errors and 5xx for GET/DELETE (a POST may
+// already have taken effect, e.g. a dispatch), secondary rate limits for every method (those requests were
+// refused, not run). A Retry-After longer than GH_RETRY_MAX_WAIT_MS is passed on to the caller instead.
+const GH_RETRIES = 3;
+const GH_RETRY_BASE_MS = 500;
+const GH_RETRY_MAX_WAIT_MS = 10_000;
+
+const PUBLIC_ROUTES = new Set(["/api/health", "/api/config", "/api/webhook/connection", "/api/webhook/stop", "/api/webhook/secret", "/api/webhook/github", "/api/webhook/snapshot"]);
+
+const FIREBASE_JWKS_URL = "https://www.googleapis.com/service_accounts/v1/jwk/securetoken@system.gserviceaccount.com";
+const JWKS_REFETCH_MS = 60_000;
+
+// Inputs the Worker fills in itself: never shown in the form, never accepted from the client.
+// VM size inputs are set from the plan, so they are Worker-filled too. `password` is only hidden: older
+// workflows declare it, but it is never sent (runs fetch it from /api/webhook/secret).
+const SYSTEM_INPUTS = new Set(["password", "dispatch_id", "snapshot_id", "restore_run_id", "cpu_cores", "ram_size", "disk_size"]);
+
+// VM sizes. A workflow declaring all of RESOURCE_LIMITS' inputs is "sized": each dispatch picks a plan,
+// which sets those inputs and the points price (new session and extension alike). PLANS (JSON object
+// of the same shape) replaces the defaults; values outside RESOURCE_LIMITS are refused at dispatch.
+// A GitHub-hosted runner has 4 vCPUs and 16 GB RAM; the disk image is sparse. The workflow leaves the host
+// 4 GB of what the kernel reports (15 GB once rounded down, less on some images), so RAM stops at 10.
+const RESOURCE_LIMITS = {
+  cpu_cores: { min: 1, max: 4 },
+  ram_size: { min: 2, max: 10 }, // GB
+  disk_size: { min: 32, max: 128 } // GB
+};
+const DEFAULT_PLANS = {
+  micro: { label: "Micro", cpu_cores: 2, ram_size: 4, disk_size: 40, points: 150 },
+  pro: { label: "Pro", cpu_cores: 4, ram_size: 8, disk_size: 60, points: 300 },
+  ultra: { label: "Ultra", cpu_cores: 4, ram_size: 10, disk_size: 100, points: 450 }
+};
+const DEFAULT_PLAN = "pro";
+
+const DISPATCH_TTL = 60 * 60;
+const RUN_TTL = 24 * 60 * 60;
+const STATUS_API_TTL_MS = 30_000;
+// Webhook-fed status is authoritative, but GitHub doesn't guarantee delivery: a missed "completed" would
+// stick forever. Past this long without a delivery for the run, the API is asked again.
+const WEBHOOK_STATUS_MAX_MS = 10 * 60_000;
+
+// Caching. GitHub GETs are kept in KV and revalidated with If-None-Match (a 304 doesn't count against the
+// rate limit). The workflow file is rechecked at most once a minute for /api/config, on every dispatch.
+// JSON sent to the browser carries an ETag of its body, so the browser can revalidate the same way;
+// a completed run never changes again and is sent as immutable.
+const WORKFLOW_FRESH_MS = 60_000;
+const ENVIRONMENTS_FRESH_MS = 5 * 60_000;
+const GH_CACHE_TTL = 7 * 86_400;
+
+// A run can be extended (continuation run dispatched) only this close to its expiry. RTDB extensions/<runId>
+// is claimed in an ETag transaction before the continuation is dispatched, so two extend requests racing
+// each other can't both dispatch (and charge). A claim that never got its dispatch id is stale after
+// EXTEND_CLAIM_MS (the request that made it died) and can be taken again.
+const EXTEND_WINDOW_MS = 30 * 60_000;
+const EXTEND_CLAIM_MS = 5 * 60_000;
+
+// Persistent disks: the workflow saves /storage as artifact disk-<snapshot_id> and reports it back.
+// Artifacts can be downloaded by anyone who can read the repo, so the image is encrypted with a per-disk key
+// (stored encrypted with PASSWORD_KEY) that only the disk's runs get, over the secret webhook.
+// Runs with a disk stop using it SNAPSHOT_SAVE_MIN before their timeout, to leave time for the upload
+// (keep in sync with the keepalive step). Artifacts live SNAPSHOT_RETENTION_DAYS (upload-artifact retention-days).
+const MAX_SNAPSHOTS = 3;
+const SNAPSHOT_SAVE_MIN = 40;
+const SNAPSHOT_RETENTION_DAYS = 30;
+
+// Cron reconciliation (scheduled handler): runs whose tab was closed still get their final state written back.
+// A dispatch stays in the active:<dispatch_id> index until its run has completed. Each sweep handles at most
+// RECONCILE_BATCH of them (Workers cap subrequests per invocation) and leaves the KV list cursor in
+// RECONCILE_CURSOR_KEY, so the next sweep carries on where it stopped and wraps around at the end.
+const RECONCILE_BATCH = 25;
+const RECONCILE_CURSOR_KEY = "reconcile:cursor";
+const ORPHAN_DISPATCH_MS = 30 * 60_000; // no run showed up for the dispatch by then: give up on it
+const ALLOWANCE_GRACE_MS = 5 * 60_000; // past the paid-for time (+ disk save) by this much: cancel the run
+
+// Per-user quotas, checked before any points are taken (new sessions and extensions). QUOTAS (JSON object,
+// same keys) overrides any of them; 0 = no limit. RTDB quotas/<uid> holds the UTC day / UTC month counters and
+// the runs still counted as active. A dispatch reserves the workflow's whole timeout-minutes before it is sent
+// (checked and taken in one ETag transaction, so racing dispatches can't both pass) and gives it all back if
+// it fails; whatever the run didn't use is given back when it completes. An extension overlaps its parent,
+// so it is not a new concurrent run, but it does count as a dispatch and uses minutes.
+const DEFAULT_QUOTAS = { concurrent: 1, daily_dispatches: 6, monthly_minutes: 1800 };
+
+// Audit trail: one KV entry per run lifecycle event (dispatch, extend, stop, cancel, credential read),
+// never rewritten, dropped after AUDIT_RETENTION_DAYS. Keys sort newest first (reverse timestamp) and are
+// copied under audit_u:<uid>: and audit_r:<runId>: for the filters; the entry rides in the key metadata,
+// so a page is a single KV list. ADMIN_UIDS (comma-separated) may read it.
+const AUDIT_RETENTION_DAYS = 90;
+const AUDIT_TS_MAX = 9_999_999_999_999;
+const AUDIT_LIST_PAGES = 5; // KV list calls per /api/audit request; the cursor carries on from there
+
+// Workflow webhooks: signed requests are accepted this many seconds either side of the Worker's clock.
+const WEBHOOK_SKEW_SEC = 5 * 60;
+
+// Graceful stop: the keepalive loop polls /api/webhook/stop every 30s and shuts the machine down.
+// A run still going after the grace period is cancelled (on the next status read of that run).
+// Runs with a disk get the whole save reserve, since saving is part of their shutdown.
+const STOP_GRACE_MS = 5 * 60_000;
+
+// SSE: poll KV status:<runId> every SSE_POLL_MS, backing off to SSE_POLL_MAX_MS while nothing changes.
+// Connection and stop keys are read on status changes and every SSE_FULL_READ_MS only, the run record once.
+// Re-send remaining time every SSE_REMAINING_MS, close after SSE_MAX_MS (client reconnects).
+const SSE_POLL_MS = 3000;
+const SSE_POLL_MAX_MS = 15_000;
+const SSE_FULL_READ_MS = 15_000;
+const SSE_REMAINING_MS = 30_000;
+const SSE_MAX_MS = 5 * 60_000;
+
+// Run logs: the tail of one step's log. A finished run's steps come from its log archive (zip, one file per
+// step), a finished job of a running run from its job log (sliced by the step's start/end times); GitHub has
+// nothing for a job still running. Logs above LOGS_MAX_BYTES aren't fetched. Finished steps are kept in KV
+// (log:<jobId>:<step>, already redacted) so switching steps doesn't download the archive again.
+const LOG_TAIL_LINES = 200;
+const LOG_TAIL_MAX = 1000;
+const LOGS_MAX_BYTES = 25 * 1024 * 1024;
+const LOG_TIMESTAMP = /^\uFEFF?(\d{4}-\d\d-\d\dT\d\d:\d\d:\d\d(?:\.\d+)?Z) ?/;
+// Redaction: the run's password and the Worker's own secrets wherever they appear, then anything shaped
+// like a credential. GitHub masks repository secrets itself, but workflow inputs only after ::add-mask::.
+const LOG_REDACTIONS = [
+  [/\b(?:gh[pousr]_[A-Za-z0-9]{20,}|github_pat_[A-Za-z0-9_]{20,})/g, "***"],
+  [/\b(Bearer|Basic|token)\s+[A-Za-z0-9._~+/-]{8,}=*/gi, "$1 ***"],
+  [/\b(password|passwd|pwd|secret|token|api[_-]?key)(["']?\s*[:=]\s*["']?)[^\s"',;]+/gi, "$1$2***"],
+  [/\b(sha256=)[0-9a-f]{64}\b/gi, "$1***"]
+];
+
+// Points are owned by the Worker: balance + cooldowns in RTDB wallets/<uid>,
+// append-only history in RTDB ledger/<uid>. Users can read both, never write.
+const POINTS = {
+  redeem: 300, // workflows without plans (sized workflows charge the plan's points)
+  extend: 300, // continuation run, same length as a new session
+  tasks: {
+    video: { reward: 5, cooldownSec: 45 },
+    short: { reward: 2, cooldownSec: 25 },
+    daily: { reward: 10 } // UTC daily
+  }
+};
+
+// Rate limits: token buckets (burst, refill per minute) per route class, one per client IP for every request
+// and one per uid once signed in (an IP can be shared by many users, so its budget is larger). With the
+// RATE_LIMITER Durable Object bound, each bucket is one object, so every isolate spends from the same budget.
+// Without it, buckets live in the isolate's memory (each isolate counts on its own; the least recently used
+// bucket makes room for a new one).
+const RATE_LIMITS = {
+  dispatch: { ip: { burst: 10, perMin: 20 }, uid: { burst: 4, perMin: 6 } }, // starts/stops runs
+  run: { ip: { burst: 60, perMin: 120 }, uid: { burst: 20, perMin: 30 } }, // may reach the GitHub API
+  webhook: { ip: { burst: 120, perMin: 600 } }, // runners and GitHub, no uid
+  default: { ip: { burst: 120, perMin: 240 }, uid: { burst: 60, perMin: 120 } }
+};
+const RATE_BUCKETS_MAX = 10_000;
+
+// The GitHub credential's API budget, from GitHub's X-RateLimit-* headers: below GH_RATE_RESERVE requests left,
+// reads serve what KV already has until the window resets, keeping the rest for dispatch/cancel.
+const GH_RATE_RESERVE = 300;
+
+// CORS: ALLOWED_ORIGINS (comma-separated) lists the frontends that may call the API from a browser. Entries
+// are exact origins ("https://app.example.com") or one wildcard label for preview deployments
+// ("https://*.my-project.pages.dev"); "*" allows any origin. The Worker's own origin is always allowed.
+// Requests without an Origin (webhooks, curl) are unaffected.
+// Every response also gets SECURITY_HEADERS: API responses are never rendered, framed or sniffed.
+const SECURITY_HEADERS = {
+  "X-Content-Type-Options": "nosniff",
+  "Content-Security-Policy": "default-src 'none'; frame-ancestors 'none'",
+  "X-Frame-Options": "DENY",
+  "Referrer-Policy": "no-referrer",
+  "Strict-Transport-Security": "max-age=31536000"
+};
+
 export default {
   async fetch(request, env, ctx) {
     const url = new URL(request.url);
 
-    // CORS preflight
+    // CORS preflight: only allowlisted origins get a go-ahead
     if (request.method === "OPTIONS") {
-      return cors(new Response(null, { status: 204 }), request);
+      if (!originAllowed(env, request.headers.get("Origin"), url)) return cors(json({ error: "Origin not allowed", code: "forbidden" }, 403), request, env);
+      return cors(new Response(null, { status: 204 }), request, env);
     }
 
     try {
       const { pathname } = url;
 
+      // Buckets are per route class, not per path: cycling through run ids doesn't buy more requests.
+      const rateKey = rateClass(pathname, request.method);
+      const limits = RATE_LIMITS[rateKey];
+      const ip = request.headers.get("CF-Connecting-IP");
+      const ipWait = ip ? await takeToken(env, `ip:${ip}:${rateKey}`, limits.ip) : 0;
+      if (ipWait) return cors(tooManyRequests(ipWait), request, env);
+
+      // Auth middleware: resolve the Firebase user once, before any route runs.
+      let user = null;
+      if (!PUBLIC_ROUTES.has(pathname)) {
+        user = await verifyIdToken(bearerToken(request), env);
+        if (!user) return cors(json({ error: "Unauthorized", code: "unauthorized" }, 401), request, env);
+        const uidWait = limits.uid ? await takeToken(env, `uid:${user.uid}:${rateKey}`, limits.uid) : 0;
+        if (uidWait) return cors(tooManyRequests(uidWait), request, env);
+      }
+
       if (pathname === "/api/health") {
-        return cors(json({ status: "ok" }), request);
+        return cors(json({ status: "ok" }), request, env);
       }
 
       if (pathname === "/api/config" && request.method === "GET") {
-        const yml = await fetchWorkflowYml(env);
-        const parsed = parseWorkflowYml(yml);
-        return cors(json(parsed), request);
+        const catalog = workflowCatalog(env);
+        const workflows = await Promise.all(catalog.map(async (wf) => {
+          const { inputs, timeoutMinutes } = WorkflowYaml.parseWorkflow(await fetchWorkflowYml(env, wf));
+          return {
+            id: wf.id,
+            label: wf.label,
+            file: wf.file,
+            timeoutMinutes,
+            persistentDisk: inputs.some((i) => i.name === "snapshot_id"),
+            sized: isSized(inputs),
+            inputs: (await inputSchema(env, inputs)).filter((i) => !SYSTEM_INPUTS.has(i.name))
+          };
+        }));
+        const plans = Object.entries(loadPlans(env)).map(([id, p]) => ({ id, ...p }));
+        const config = { workflows, defaultWorkflow: catalog[0].id, plans, defaultPlan: defaultPlanId(env), points: POINTS.redeem };
+        return cors(await cachedJson(request, config, "public, max-age=60"), request, env);
       }
 
-      if (pathname === "/api/dispatch" && request.method === "POST") {
+      if (pathname === "/api/points" && request.method === "GET") {
+        const wallet = normalizeWallet(await dbGet(env, `wallets/${user.uid}`));
+        return cors(json(wallet), request, env);
+      }
+
+      if (pathname === "/api/points/award" && request.method === "POST") {
         const body = await request.json().catch(() => ({}));
-        const os_version = String(body.os_version || "").trim();
-        const language = String(body.language || "").trim();
-        if (!os_version || !language) return cors(json({ error: "Missing inputs" }, 400), request);
+        const task = String(body.task || "").trim();
+        if (!POINTS.tasks[task]) return cors(json({ error: "Unknown task", code: "validation" }, 400), request, env);
 
-        const dispatch_id = crypto.randomUUID();
-        const dispatched_at = new Date().toISOString();
+        const result = await awardTask(env, user.uid, task);
+        if (!result.ok) return cors(json({ error: result.error, code: "cooldown", wallet: result.wallet }, 429), request, env);
+        return cors(json({ reward: result.reward, wallet: result.wallet }), request, env);
+      }
 
-        await ghDispatch(env, {
-          ref: env.GITHUB_REF || "main",
-          inputs: { os_version, language }
-        });
+      if (pathname === "/api/points/ledger" && request.method === "GET") {
+        const limit = Math.min(100, Math.max(1, Number(url.searchParams.get("limit")) || 20));
+        const entries = await dbGet(env, `ledger/${user.uid}`, { orderBy: "\"$key\"", limitToLast: String(limit) });
+        // The REST API applies orderBy/limitToLast but returns a plain object, in no promised order.
+        const list = Object.entries(entries || {})
+          .sort(([a], [b]) => (a < b ? 1 : a > b ? -1 : 0)) // newest push id first
+          .map(([id, e]) => ({ id, ...e }));
+        return cors(json({ entries: list }), request, env);
+      }
 
-        // Try to resolve run id quickly (best-effort)
-        const run = await tryResolveRun(env, dispatched_at);
-        if (run?.id) {
-          await env.SESSIONS_KV?.put(`dispatch:${dispatch_id}`, JSON.stringify({
-            run_id: run.id,
-            html_url: run.html_url,
-            created_at: run.created_at,
-            dispatched_at
-          }), { expirationTtl: 60 * 60 });
-        } else {
-          await env.SESSIONS_KV?.put(`dispatch:${dispatch_id}`, JSON.stringify({
-            run_id: null,
-            html_url: null,
-            created_at: null,
-            dispatched_at
-          }), { expirationTtl: 60 * 60 });
-        }
+      if (pathname === "/api/dispatch" && request.method === "POST") {
+        const body = await request.json().catch(() => ({}));
+        const wf = findWorkflow(env, String(body.workflow || "").trim());
+        if (!wf) return cors(json({ error: "Unknown workflow", code: "validation" }, 400), request, env);
 
-        return cors(json({
-          dispatch_id,
-          dispatched_at,
-          run_id: run?.id || null,
-          html_url: run?.html_url || null
-        }), request);
+        let status = 200, out = {}, failure = null;
+        try {
+          ({ status = 200, ...out } = await startRun(env, user.uid, wf, body.inputs || {}, {
+            cost: POINTS.redeem,
+            reason: "Redeem session",
+            plan: String(body.plan || ""),
+            disk: String(body.disk || ""), // "" = throwaway, "new", or a snapshot id to restore
+            session_id: String(body.session_id || "") // the frontend's vps/<uid>/<id>, for cron write-back
+          }));
+        } catch (err) {
+          failure = err;
+          throw err;
+        } finally {
+          ctx.waitUntil(recordAudit(env, request, {
+            uid: user.uid,
+            action: "run.dispatch",
+            run_id: out.run_id,
+            dispatch_id: out.dispatch_id,
+            ...(failure ? auditFailure(failure) : {
+              result: status === 200 ? "ok" : `error:${status}`,
+              detail: status === 200 ? `${wf.id}${out.plan ? ` / ${out.plan}` : ""}` : out.error
+            })
+          }));
+        }
+        return cors(json(out, status), request, env);
       }
 
       const mResolve = pathname.match(/^\/api\/dispatch\/([^/]+)\/resolve$/);
       if (mResolve && request.method === "GET") {
         const id = decodeURIComponent(mResolve[1]);
-        const raw = await env.SESSIONS_KV?.get(`dispatch:${id}`);
-        if (!raw) return cors(json({ run_id: null }), request);
+        const data = await kvGetJson(env, `dispatch:${id}`);
+        if (!data) return cors(json({ run_id: null }), request, env);
+        if (data.uid !== user.uid) return cors(json({ error: "Forbidden", code: "forbidden" }, 403), request, env);
 
-        const data = JSON.parse(raw);
-        if (data.run_id) return cors(json({ run_id: data.run_id, html_url: data.html_url || null }), request);
+        if (data.run_id) return cors(json({ run_id: data.run_id, html_url: data.html_url || null }), request, env);
+        // The run webhook links it too: no need to spend the last of the GitHub budget listing runs.
+        if (ghBudgetLow()) return cors(json({ run_id: null }), request, env);
 
-        // try resolve again using stored timestamp
-        const run = await tryResolveRun(env, data.dispatched_at);
+        const run = await tryResolveRun(env, id, data);
         if (run?.id) {
-          await env.SESSIONS_KV?.put(`dispatch:${id}`, JSON.stringify({
+          await saveDispatch(env, id, {
             ...data,
             run_id: run.id,
             html_url: run.html_url,
             created_at: run.created_at
-          }), { expirationTtl: 60 * 60 });
-          return cors(json({ run_id: run.id, html_url: run.html_url || null }), request);
+          });
+          return cors(json({ run_id: run.id, html_url: run.html_url || null }), request, env);
         }
-        return cors(json({ run_id: null }), request);
+        return cors(json({ run_id: null }), request, env);
       }
 
       const mRun = pathname.match(/^\/api\/runs\/(\d+)$/);
       if (mRun && request.method === "GET") {
         const runId = mRun[1];
-        const run = await ghGet(env, `/repos/${env.GITHUB_OWNER}/${env.GITHUB_REPO}/actions/runs/${runId}`);
-        return cors(json(run), request);
+        if (!(await ownsRun(env, runId, user.uid))) return cors(json({ error: "Forbidden", code: "forbidden" }, 403), request, env);
+        // Webhook-fed (or finished) status is authoritative; API-fed status is reused for a short while only.
+        const cached = await kvGetJson(env, `status:${runId}`);
+        const stop = await enforceStop(env, runId, cached);
+        const fresh = statusFresh(cached, Date.now());
+        if (fresh) return cors(await runStatusResponse(request, cached, stop), request, env);
+        if (cached && ghBudgetLow()) return cors(await runStatusResponse(request, cached, stop, { stale: true }), request, env);
+
+        const status = await fetchRunStatus(env, runId, cached);
+        return cors(await runStatusResponse(request, status, stop), request, env);
+      }
+
+      const mExtend = pathname.match(/^\/api\/runs\/(\d+)\/extend$/);
+      if (mExtend && request.method === "POST") {
+        // Continuation run: same workflow, inputs and password, dispatched near the end of the current run.
+        const runId = mExtend[1];
+        const rec = await kvGetJson(env, `run:${runId}`);
+        if (!rec || rec.uid !== user.uid) {
+          ctx.waitUntil(recordAudit(env, request, { uid: user.uid, action: "run.extend", run_id: runId, result: "denied" }));
+          return cors(json({ error: "Forbidden", code: "forbidden" }, 403), request, env);
+        }
+        if (rec.next_dispatch_id) return cors(json({ error: "Session already extended", code: "conflict", dispatch_id: rec.next_dispatch_id }, 409), request, env);
+
+        const wf = rec.workflow && rec.inputs ? findWorkflow(env, rec.workflow) : null;
+        if (!wf) return cors(json({ error: "This run cannot be extended", code: "conflict" }, 409), request, env);
+        const st = await kvGetJson(env, `status:${runId}`);
+        if (st?.status === "completed") return cors(json({ error: "Run already finished", code: "conflict" }, 409), request, env);
+
+        const opensAt = Number(rec.expires_at) - EXTEND_WINDOW_MS;
+        if (Date.now() < opensAt) {
+          return cors(json({ error: "Too early to extend", code: "conflict", extendable_at: opensAt, expires_at: rec.expires_at }, 409), request, env);
+        }
+
+        const claimId = randomHex(8);
+        const held = await claimExtension(env, runId, claimId);
+        if (held) return cors(json({ error: "Session already extended", code: "conflict", dispatch_id: held.dispatch_id || null }, 409), request, env);
+
+        let status = 200, out = {}, failure = null;
+        try {
+          const secret = await kvGetJson(env, `secret:${rec.dispatch_id}`);
+          const password = secret ? await decryptSecret(env, secret) : undefined;
+          ({ status = 200, ...out } = await startRun(env, user.uid, wf, rec.inputs, {
+            cost: POINTS.extend,
+            reason: "Extend session",
+            plan: rec.plan || "",
+            password,
+            disk: rec.snapshot_id || "",
+            session_id: rec.session_id || "",
+            parent: { run_id: runId, session_started_at: rec.session_started_at || rec.dispatched_at }
+          }));
+          if (status === 200) {
+            await env.SESSIONS_KV?.put(`run:${runId}`, JSON.stringify({ ...rec, next_dispatch_id: out.dispatch_id }), { expirationTtl: RUN_TTL });
+            await settleExtension(env, runId, claimId, out.dispatch_id);
+          }
+        } catch (err) {
+          failure = err;
+          throw err;
+        } finally {
+          // Refused or failed (startRun refunds and releases on its own): the run can be extended again.
+          if (failure || status !== 200) await settleExtension(env, runId, claimId, null);
+          ctx.waitUntil(recordAudit(env, request, {
+            uid: user.uid,
+            action: "run.extend",
+            run_id: runId,
+            dispatch_id: out.dispatch_id,
+            ...(failure ? auditFailure(failure) : {
+              result: status === 200 ? "ok" : `error:${status}`,
+              detail: status === 200 ? `continued by ${out.run_id || out.dispatch_id}` : out.error
+            })
+          }));
+        }
+        return cors(json(out, status), request, env);
+      }
+
+      const mStop = pathname.match(/^\/api\/runs\/(\d+)\/stop$/);
+      if (mStop && request.method === "POST") {
+        const runId = mStop[1];
+        const rec = await kvGetJson(env, `run:${runId}`);
+        const audit = (result, detail) => ctx.waitUntil(recordAudit(env, request, { uid: user.uid, action: "run.stop", run_id: runId, result, detail }));
+        if (!rec || rec.uid !== user.uid) {
+          audit("denied");
+          return cors(json({ error: "Forbidden", code: "forbidden" }, 403), request, env);
+        }
+        const st = await kvGetJson(env, `status:${runId}`);
+        if (st?.status === "completed") return cors(json({ ok: true, stopped: true }), request, env);
+
+        const existing = await enforceStop(env, runId, st);
+        if (existing) return cors(json({ ok: true, stopped: !!existing.cancelled_at, stop: existing }), request, env);
+
+        // Nothing to shut down before the machine is up (no connection yet): cancel right away.
+        const graceful = !!(await kvGetJson(env, `conn:${runId}`));
+        let failure = null;
+        try {
+          if (!graceful) {
+            await ghPost(env, `/repos/${env.GITHUB_OWNER}/${env.GITHUB_REPO}/actions/runs/${runId}/cancel`, {});
+            return cors(json({ ok: true, stopped: true }), request, env);
+          }
+          const stop = {
+            requested_at: Date.now(),
+            deadline: Date.now() + (rec.snapshot_id ? SNAPSHOT_SAVE_MIN * 60_000 : STOP_GRACE_MS),
+            acked_at: null,
+            cancelled_at: null
+          };
+          await env.SESSIONS_KV?.put(`stop:${runId}`, JSON.stringify(stop), { expirationTtl: RUN_TTL });
+          return cors(json({ ok: true, stopped: false, stop }), request, env);
+        } catch (err) {
+          failure = err;
+          throw err;
+        } finally {
+          const { result, detail } = failure ? auditFailure(failure) : { result: "ok", detail: graceful ? "graceful" : "cancelled before connection" };
+          audit(result, detail);
+        }
       }
 
       const mCancel = pathname.match(/^\/api\/runs\/(\d+)\/cancel$/);
       if (mCancel && request.method === "POST") {
         const runId = mCancel[1];
-        await ghPost(env, `/repos/${env.GITHUB_OWNER}/${env.GITHUB_REPO}/actions/runs/${runId}/cancel`, {});
-        return cors(json({ ok: true }), request);
+        if (!(await ownsRun(env, runId, user.uid))) {
+          ctx.waitUntil(recordAudit(env, request, { uid: user.uid, action: "run.cancel", run_id: runId, result: "denied" }));
+          return cors(json({ error: "Forbidden", code: "forbidden" }, 403), request, env);
+        }
+        // Already over: nothing to cancel, and GitHub would only answer 409.
+        const st = await kvGetJson(env, `status:${runId}`);
+        if (st?.status === "completed") return cors(json({ ok: true, completed: true }), request, env);
+        let failure = null;
+        try {
+          await ghPost(env, `/repos/${env.GITHUB_OWNER}/${env.GITHUB_REPO}/actions/runs/${runId}/cancel`, {});
+        } catch (err) {
+          failure = err;
+          throw err;
+        } finally {
+          ctx.waitUntil(recordAudit(env, request, { uid: user.uid, action: "run.cancel", run_id: runId, ...(failure ? auditFailure(failure) : {}) }));
+        }
+        return cors(json({ ok: true }), request, env);
       }
 
       const mConn = pathname.match(/^\/api\/runs\/(\d+)\/connection$/);
       if (mConn && request.method === "GET") {
         const runId = mConn[1];
-        const raw = await env.SESSIONS_KV?.get(`conn:${runId}`);
-        if (!raw) return cors(json({}), request);
-        return cors(new Response(raw, { headers: { "Content-Type": "application/json" } }), request);
+        if (!(await ownsRun(env, runId, user.uid))) {
+          ctx.waitUntil(recordAudit(env, request, { uid: user.uid, action: "connection.read", run_id: runId, result: "denied" }));
+          return cors(json({ error: "Forbidden", code: "forbidden" }, 403), request, env);
+        }
+        const conn = await kvGetJson(env, `conn:${runId}`);
+        if (!conn) return cors(json({}), request, env);
+
+        const owner = await kvGetJson(env, `run:${runId}`);
+        const secret = await kvGetJson(env, `secret:${owner.dispatch_id}`);
+        ctx.waitUntil(recordAudit(env, request, { uid: user.uid, action: "connection.read", run_id: runId, detail: secret ? "with password" : "" }));
+        return cors(json({ ...conn, password: secret ? await decryptSecret(env, secret) : "" }), request, env);
       }
 
-      if (pathname === "/api/webhook/connection" && request.method === "POST") {
-        const auth = request.headers.get("Authorization") || "";
-        const token = auth.startsWith("Bearer ") ? auth.slice(7) : "";
-        if (!env.WEBHOOK_SECRET || token !== env.WEBHOOK_SECRET) {
-          return cors(json({ error: "Unauthorized" }, 401), request);
+      const mEvents = pathname.match(/^\/api\/runs\/(\d+)\/events$/);
+      if (mEvents && request.method === "GET") {
+        const runId = mEvents[1];
+        if (!(await ownsRun(env, runId, user.uid))) return cors(json({ error: "Forbidden", code: "forbidden" }, 403), request, env);
+        return cors(runEventStream(env, ctx, runId), request, env);
+      }
+
+      const mLogs = pathname.match(/^\/api\/runs\/(\d+)\/logs$/);
+      if (mLogs && request.method === "GET") {
+        const runId = mLogs[1];
+        if (!(await ownsRun(env, runId, user.uid))) return cors(json({ error: "Forbidden", code: "forbidden" }, 403), request, env);
+        const q = url.searchParams;
+        const out = await runLogs(env, runId, {
+          jobId: q.get("job"),
+          step: q.get("step"),
+          lines: Math.min(LOG_TAIL_MAX, Math.max(1, Number(q.get("lines")) || LOG_TAIL_LINES))
+        });
+        const done = out.status === "completed" && out.jobs.every((j) => j.status === "completed") && (!out.log || out.log.available);
+        return cors(await cachedJson(request, out, done ? "private, max-age=31536000, immutable" : "private, no-cache", {
+          "Vary": "Authorization"
+        }), request, env);
+      }
+
+      if (pathname === "/api/quota" && request.method === "GET") {
+        const usage = await loadQuotaUsage(env, user.uid);
+        return cors(json({
+          limits: loadQuotas(env),
+          used: {
+            concurrent: Object.keys(usage.active).length,
+            daily_dispatches: usage.dispatches,
+            monthly_minutes: usage.minutes
+          }
+        }), request, env);
+      }
+
+      if (pathname === "/api/audit" && request.method === "GET") {
+        if (!isAdmin(env, user.uid)) return cors(json({ error: "Forbidden", code: "forbidden" }, 403), request, env);
+        const q = url.searchParams;
+        const from = parseTime(q.get("from"));
+        const to = parseTime(q.get("to"));
+        if (Number.isNaN(from) || Number.isNaN(to)) return cors(json({ error: "Invalid time range", code: "validation" }, 400), request, env);
+        const cursor = decodeAuditCursor(q.get("cursor"));
+        if (!cursor) return cors(json({ error: "Invalid cursor", code: "validation" }, 400), request, env);
+
+        const page = await queryAudit(env, {
+          uid: String(q.get("uid") || "").trim(),
+          run_id: String(q.get("run_id") || "").trim(),
+          from,
+          to,
+          cursor,
+          limit: Math.min(100, Math.max(1, Number(q.get("limit")) || 50))
+        });
+        return cors(json(page), request, env);
+      }
+
+      if (pathname === "/api/snapshots" && request.method === "GET") {
+        const list = await loadSnapshots(env, user.uid);
+        return cors(json({ snapshots: list.map(({ disk_key, ...snap }) => snap), limit: MAX_SNAPSHOTS }), request, env);
+      }
+
+      const mSnap = pathname.match(/^\/api\/snapshots\/([^/]+)$/);
+      if (mSnap && request.method === "DELETE") {
+        const id = decodeURIComponent(mSnap[1]);
+        const list = await loadSnapshots(env, user.uid);
+        const snap = list.find((x) => x.id === id);
+        if (!snap) return cors(json({ error: "Not found", code: "not_found" }, 404), request, env);
+        if (snapshotLocked(snap)) return cors(json({ error: "Disk is in use by a run", code: "conflict" }, 409), request, env);
+
+        const data = await ghGet(env, `/repos/${env.GITHUB_OWNER}/${env.GITHUB_REPO}/actions/artifacts?name=${encodeURIComponent(`disk-${id}`)}&per_page=100`);
+        for (const a of data?.artifacts || []) {
+          await ghDelete(env, `/repos/${env.GITHUB_OWNER}/${env.GITHUB_REPO}/actions/artifacts/${a.id}`);
         }
-        const body = await request.json().catch(() => ({}));
+        await saveSnapshots(env, user.uid, list.filter((x) => x.id !== id));
+        return cors(json({ ok: true, deleted_artifacts: data?.artifacts?.length || 0 }), request, env);
+      }
+
+      if (pathname === "/api/webhook/snapshot" && request.method === "POST") {
+        const body = await verifyWorkflowCall(request, env, url);
+        if (!body) return cors(json({ error: "Unauthorized", code: "unauthorized" }, 401), request, env);
         const run_id = String(body.run_id || "").trim();
-        if (!run_id) return cors(json({ error: "Missing run_id" }, 400), request);
+        const rec = run_id ? await kvGetJson(env, `run:${run_id}`) : null;
+        if (!rec?.snapshot_id || rec.snapshot_id !== body.snapshot_id) return cors(json({ error: "Unknown run or snapshot", code: "not_found" }, 404), request, env);
 
-        // normalize and store
+        const list = await loadSnapshots(env, rec.uid);
+        const snap = list.find((x) => x.id === rec.snapshot_id);
+        if (!snap) return cors(json({ error: "Snapshot was deleted", code: "gone" }, 410), request, env);
+
+        const saved = body.saved === true || body.saved === "true";
+        if (saved) {
+          // Only the newest save is kept: drop the artifact of the run this one replaces.
+          const previous = snap.artifact_id;
+          Object.assign(snap, {
+            run_id: Number(run_id),
+            artifact_id: Number(body.artifact_id) || null,
+            size_bytes: Number(body.size_bytes) || 0,
+            saved_at: Date.now(),
+            expires_at: Date.now() + SNAPSHOT_RETENTION_DAYS * 86_400_000
+          });
+          if (previous && previous !== snap.artifact_id) {
+            await ghDelete(env, `/repos/${env.GITHUB_OWNER}/${env.GITHUB_REPO}/actions/artifacts/${previous}`).catch(() => {});
+          }
+        }
+        if (snap.locked_by === rec.dispatch_id) {
+          snap.locked_by = null;
+          snap.locked_until = 0;
+        }
+        await saveSnapshots(env, rec.uid, list);
+        return cors(json({ ok: true, saved }), request, env);
+      }
+
+      if (pathname === "/api/webhook/stop" && request.method === "GET") {
+        // Polled every 30 s by the keepalive loop: a replay only re-reads the stop flag, so no nonce write.
+        if (!(await verifyWorkflowCall(request, env, url, { replayable: true }))) return cors(json({ error: "Unauthorized", code: "unauthorized" }, 401), request, env);
+        const run_id = String(url.searchParams.get("run_id") || "").trim();
+        if (!run_id) return cors(json({ error: "Missing run_id", code: "validation" }, 400), request, env);
+        if (!(await kvGetJson(env, `run:${run_id}`))) return cors(json({ error: "Unknown run", code: "not_found" }, 404), request, env);
+        const stop = await kvGetJson(env, `stop:${run_id}`);
+        if (!stop) return cors(json({ stop: false }), request, env);
+
+        if (!stop.acked_at) {
+          stop.acked_at = Date.now();
+          await env.SESSIONS_KV?.put(`stop:${run_id}`, JSON.stringify(stop), { expirationTtl: RUN_TTL });
+        }
+        return cors(json({ stop: true, deadline: stop.deadline }), request, env);
+      }
+
+      if (pathname === "/api/webhook/secret" && request.method === "GET") {
+        // First call of a run: its password, which is never a workflow input (those are printed in the log),
+        // and the key of its persistent disk.
+        if (!(await verifyWorkflowCall(request, env, url))) return cors(json({ error: "Unauthorized", code: "unauthorized" }, 401), request, env);
+        const dispatch_id = String(url.searchParams.get("dispatch_id") || "").trim();
+        const run_id = String(url.searchParams.get("run_id") || "").trim();
+        if (!dispatch_id || !/^\d+$/.test(run_id)) return cors(json({ error: "Missing dispatch_id or run_id", code: "validation" }, 400), request, env);
+
+        await linkDispatchRun(env, dispatch_id, run_id);
+        // Only for the run of that dispatch: a run linked to another dispatch gets nothing.
+        const rec = await kvGetJson(env, `run:${run_id}`);
+        if (rec && rec.dispatch_id !== dispatch_id) return cors(json({ error: "Unknown run", code: "not_found" }, 404), request, env);
+        const secret = await kvGetJson(env, `secret:${dispatch_id}`);
+        if (!secret) return cors(json({ error: "Unknown dispatch", code: "not_found" }, 404), request, env);
+        const data = await kvGetJson(env, `dispatch:${dispatch_id}`);
+        const snap = data?.snapshot_id ? (await loadSnapshots(env, data.uid)).find((x) => x.id === data.snapshot_id) : null;
+        return cors(json({
+          password: await decryptSecret(env, secret),
+          ...(snap?.disk_key ? { disk_key: await decryptSecret(env, snap.disk_key) } : {})
+        }), request, env);
+      }
+
+      if (pathname === "/api/webhook/connection" && request.method === "POST") {
+        const body = await verifyWorkflowCall(request, env, url);
+        if (!body) return cors(json({ error: "Unauthorized", code: "unauthorized" }, 401), request, env);
+        const run_id = String(body.run_id || "").trim();
+        if (!run_id) return cors(json({ error: "Missing run_id", code: "validation" }, 400), request, env);
+
+        // The run reports the dispatch id it was started with: link it if the panel hasn't yet.
+        const dispatch_id = String(body.dispatch_id || "").trim();
+        if (dispatch_id) await linkDispatchRun(env, dispatch_id, run_id);
+
+        const endpoints = normalizeEndpoints(body);
+        if (!endpoints) return cors(json({ error: "Invalid endpoints", code: "validation" }, 400), request, env);
+
+        // Only runs this Worker dispatched (run record, possibly just linked above) get a connection.
+        const owner = await kvGetJson(env, `run:${run_id}`);
+        if (!owner) return cors(json({ error: "Unknown run", code: "not_found" }, 404), request, env);
         const conn = {
           run_id,
-          rdp: body.rdp || body.rdp_public_ip || "",
-          web: body.web || body.web_public_ip || "",
+          uid: owner.uid,
+          endpoints,
           username: body.username || "Admin",
-          password: body.password || "Window@123456",
           os_name: body.os_name || "",
           ts: Date.now()
         };
 
         await env.SESSIONS_KV?.put(`conn:${run_id}`, JSON.stringify(conn), { expirationTtl: 8 * 60 * 60 });
-        return cors(json({ ok: true }), request);
+        return cors(json({ ok: true }), request, env);
+      }
+
+      if (pathname === "/api/webhook/github" && request.method === "POST") {
+        const raw = await request.text();
+        const signature = request.headers.get("X-Hub-Signature-256") || "";
+        if (!env.GITHUB_WEBHOOK_SECRET || !(await verifyHubSignature(env.GITHUB_WEBHOOK_SECRET, raw, signature))) {
+          return cors(json({ error: "Unauthorized", code: "unauthorized" }, 401), request, env);
+        }
+
+        const event = request.headers.get("X-GitHub-Event") || "";
+        let payload;
+        try {
+          payload = JSON.parse(raw || "{}");
+        } catch {
+          return cors(json({ error: "Body is not JSON", code: "validation" }, 400), request, env);
+        }
+        if (event === "workflow_run") await onWorkflowRunEvent(env, payload.workflow_run);
+        if (event === "workflow_job") await onWorkflowJobEvent(env, payload.workflow_job);
+        return cors(json({ ok: true, event }), request, env);
       }
 
-      return cors(json({ error: "Not found" }, 404), request);
+      return cors(json({ error: "Not found", code: "not_found" }, 404), request, env);
     } catch (err) {
-      return cors(json({ error: String(err?.message || err) }, 500), request);
+      if (!(err instanceof ApiError)) console.log(`${request.method} ${url.pathname}: ${err?.stack || err}`);
+      const e = err instanceof ApiError ? err : new ApiError("internal", "Internal error");
+      const res = json({ error: e.message, code: e.code, ...(e.retryAfter ? { retry_after: e.retryAfter } : {}) }, e.status);
+      if (e.retryAfter) res.headers.set("Retry-After", String(e.retryAfter));
+      return cors(res, request, env);
     }
+  },
+
+  async scheduled(event, env, ctx) {
+    // event.scheduledTime is the sweep's clock (tests pass their own).
+    ctx.waitUntil(reconcile(env, { now: event.scheduledTime || Date.now() }));
   }
 };
 
@@ -154,135 +735,1756 @@ function json(obj, status = 200) {
   });
 }
 
-function cors(res, req) {
+async function cachedJson(request, obj, cacheControl, extraHeaders = {}) {
+  // JSON with a strong ETag of its body; 304 (no body) when the browser already has exactly this.
+  const body = JSON.stringify(obj);
+  const digest = new Uint8Array(await crypto.subtle.digest("SHA-256", new TextEncoder().encode(body)));
+  const etag = `"${[...digest.slice(0, 16)].map((b) => b.toString(16).padStart(2, "0")).join("")}"`;
+  const headers = { "Content-Type": "application/json", "Cache-Control": cacheControl, "ETag": etag, ...extraHeaders };
+  const known = (request.headers.get("If-None-Match") || "").split(",").map((t) => t.trim().replace(/^W\//, ""));
+  if (known.includes(etag)) return new Response(null, { status: 304, headers });
+  return new Response(body, { headers });
+}
+
+async function runStatusResponse(request, status, stop, extra = {}) {
+  // Bookkeeping fields stay out of the body, so its ETag only changes when the run does.
+  const { fetched_at, etag, received_at, ...run } = status;
+  const done = status.status === "completed";
+  return cachedJson(request, { ...run, stop, ...extra }, done ? "private, max-age=31536000, immutable" : "private, no-cache", {
+    "Vary": "Authorization"
+  });
+}
+
+function cors(res, req, env) {
+  // CORS headers only for allowed origins (the browser blocks the rest); Vary + security headers for all.
   const h = new Headers(res.headers);
-  const origin = req.headers.get("Origin") || "*";
-  // No credentials here, safe to use *
-  h.set("Access-Control-Allow-Origin", origin === "null" ? "*" : origin);
-  h.set("Access-Control-Allow-Methods", "GET,POST,OPTIONS");
-  h.set("Access-Control-Allow-Headers", "Content-Type,Authorization");
-  h.set("Access-Control-Max-Age", "86400");
+  const origin = req.headers.get("Origin");
+  if (originAllowed(env, origin, new URL(req.url))) {
+    h.set("Access-Control-Allow-Origin", origin);
+    h.set("Access-Control-Allow-Methods", "GET,POST,DELETE,OPTIONS");
+    h.set("Access-Control-Allow-Headers", "Content-Type,Authorization,If-None-Match");
+    h.set("Access-Control-Max-Age", "86400");
+    h.set("Access-Control-Expose-Headers", "Retry-After,ETag");
+  }
+  const vary = (h.get("Vary") || "").split(",").map((v) => v.trim()).filter(Boolean);
+  if (!vary.includes("Origin")) h.set("Vary", [...vary, "Origin"].join(", "));
+  for (const [name, value] of Object.entries(SECURITY_HEADERS)) h.set(name, value);
   return new Response(res.body, { status: res.status, headers: h });
 }
 
-async function fetchWorkflowYml(env) {
-  // Fetch workflow file content from GitHub Contents API
-  const path = encodeURIComponent(env.WORKFLOW_PATH || ".github/workflows/WindowsRDP.yml");
-  const ref = encodeURIComponent(env.GITHUB_REF || "main");
-  const data = await ghGet(env, `/repos/${env.GITHUB_OWNER}/${env.GITHUB_REPO}/contents/${path}?ref=${ref}`);
-  if (!data?.content) throw new Error("Workflow file not found or missing content");
-  const b64 = data.content.replace(/\n/g, "");
-  const text = atob(b64);
-  return text;
+function originAllowed(env, origin, url) {
+  // origin: the request's Origin header (null when absent); url: the request URL (its own origin is fine).
+  if (!origin) return false;
+  if (origin === url.origin) return true;
+  let o;
+  try {
+    o = new URL(origin);
+  } catch {
+    return false;
+  }
+  if (o.origin !== origin) return false; // "null", or anything that isn't a bare scheme://host[:port]
+  const rules = String(env.ALLOWED_ORIGINS || "").split(",").map((r) => r.trim().replace(/\/+$/, "").toLowerCase()).filter(Boolean);
+  return rules.some((rule) => {
+    if (rule === "*") return true;
+    const wild = rule.match(/^(https?):\/\/\*\.(.+)$/);
+    if (!wild) return rule === origin;
+    // Exactly one label in place of the "*": a.my-project.pages.dev, not a.b.my-project.pages.dev.
+    const [, scheme, domain] = wild;
+    if (o.protocol !== `${scheme}:` || !o.host.endsWith(`.${domain}`)) return false;
+    return /^[a-z0-9-]+$/.test(o.host.slice(0, -domain.length - 1));
+  });
 }
 
-function parseWorkflowYml(txt) {
-  // targeted parser: extract inputs os_version + language (options + default) and timeout-minutes
-  const lines = txt.split(/\r?\n/);
+function rateClass(pathname, method) {
+  if (pathname.startsWith("/api/webhook/")) return "webhook";
+  if (method === "POST" && (pathname === "/api/dispatch" || /^\/api\/runs\/\d+\/(extend|stop|cancel)$/.test(pathname))) return "dispatch";
+  if (method === "GET" && (/^\/api\/runs\/\d+(\/logs)?$/.test(pathname) || /^\/api\/dispatch\/[^/]+\/resolve$/.test(pathname))) return "run";
+  return "default";
+}
 
-  function findBlock(name) {
-    let start = -1;
-    let indent = 0;
-    for (let i = 0; i < lines.length; i++) {
-      const m = lines[i].match(/^(\s*)([A-Za-z0-9_]+):\s*$/);
-      if (m && m[2] === name) { start = i; indent = m[1].length; break; }
+async function takeToken(env, key, limits) {
+  // -> 0 when the request may go ahead, else the seconds until the bucket has a token again.
+  if (env.RATE_LIMITER) {
+    try {
+      const stub = env.RATE_LIMITER.get(env.RATE_LIMITER.idFromName(key));
+      const res = await stub.fetch("https://rate-limiter/take", { method: "POST", body: JSON.stringify(limits) });
+      if (res.ok) return (await res.json()).wait;
+      console.log(`rate limiter ${key}: ${res.status}`);
+    } catch (err) {
+      console.log(`rate limiter ${key}: ${err?.message || err}`);
     }
-    if (start < 0) return [];
-    const out = [];
-    for (let i = start + 1; i < lines.length; i++) {
-      const ln = lines[i];
-      const leading = (ln.match(/^(\s*)/) || ["", ""])[1].length;
-      if (leading <= indent && ln.trim().endsWith(":")) break;
-      out.push(ln);
+    // The object can't be reached: count in this isolate rather than let everything through.
+  }
+  return takeLocalToken(key, limits);
+}
+
+function spendToken(b, { burst, perMin }, nowMs) {
+  // Token bucket step: refill for the time since the last request, then take one if there is one.
+  const bucket = b ? { ...b } : { tokens: burst, at: nowMs };
+  bucket.tokens = Math.min(burst, bucket.tokens + ((nowMs - bucket.at) / 60_000) * perMin);
+  bucket.at = nowMs;
+  if (bucket.tokens >= 1) {
+    bucket.tokens -= 1;
+    return { bucket, wait: 0 };
+  }
+  return { bucket, wait: Math.ceil(((1 - bucket.tokens) * 60) / perMin) };
+}
+
+const rateBuckets = new Map(); // insertion order = least recently used first
+
+function takeLocalToken(key, limits) {
+  const { bucket, wait } = spendToken(rateBuckets.get(key), limits, Date.now());
+  rateBuckets.delete(key);
+  rateBuckets.set(key, bucket);
+  // Evict the least recently used bucket; one untouched for a minute is full again anyway.
+  if (rateBuckets.size > RATE_BUCKETS_MAX) rateBuckets.delete(rateBuckets.keys().next().value);
+  return wait;
+}
+
+// Durable Object behind RATE_LIMITER: one instance per bucket key (idFromName), which serializes its requests.
+// The bucket is kept in the object's storage, so it survives the object being evicted while idle.
+export class RateLimiter {
+  // One token bucket per object. Its storage is deleted by an alarm once the bucket has refilled: a full
+  // bucket is the same as none, so objects for clients that went away don't keep state forever.
+  constructor(state) {
+    this.state = state;
+  }
+
+  async fetch(request) {
+    const limits = await request.json();
+    const now = Date.now();
+    const { bucket, wait } = spendToken(await this.state.storage.get("bucket"), limits, now);
+    const full_at = now + Math.ceil(((limits.burst - bucket.tokens) * 60_000) / limits.perMin);
+    await this.state.storage.put({ bucket, full_at });
+    await this.state.storage.setAlarm(full_at);
+    return json({ wait });
+  }
+
+  async alarm() {
+    const full_at = await this.state.storage.get("full_at");
+    if (full_at > Date.now()) await this.state.storage.setAlarm(full_at); // spent again since it was set
+    else await this.state.storage.deleteAll();
+  }
+}
+
+function tooManyRequests(retryAfterSec) {
+  const res = json({ error: "Too many requests", code: "rate_limited", retry_after: retryAfterSec }, 429);
+  res.headers.set("Retry-After", String(retryAfterSec));
+  return res;
+}
+
+// Last X-RateLimit-* values GitHub sent this isolate (they describe the token's budget, not the isolate's).
+let ghRate = { remaining: Infinity, resetAt: 0 };
+
+function observeGhResponse(res) {
+  // A rejected installation token (revoked, app key rotated): mint a new one on the next call.
+  if (res.status === 401) ghAppToken.expiresAt = 0;
+  const remaining = res.headers.get("X-RateLimit-Remaining");
+  if (remaining !== null) ghRate = { remaining: Number(remaining), resetAt: Number(res.headers.get("X-RateLimit-Reset")) * 1000 || 0 };
+  // Secondary limits come with Retry-After instead.
+  const retry = Number(res.headers.get("Retry-After"));
+  if ((res.status === 403 || res.status === 429) && retry > 0) ghRate = { remaining: 0, resetAt: Date.now() + retry * 1000 };
+}
+
+function ghBudgetLow() {
+  return ghRate.remaining < GH_RATE_RESERVE && Date.now() < ghRate.resetAt;
+}
+
+// Connection endpoints reported by the workflow's tunnel provider. address is host:port, or a URL for http(s).
+// client: what to run locally when the protocol can't be reached directly (cloudflared TCP tunnels).
+const ENDPOINT_PROTOCOLS = new Set(["rdp", "http", "https", "tcp"]);
+const MAX_ENDPOINTS = 8;
+
+function normalizeEndpoints(body) {
+  // { endpoints: [{ protocol, address, port?, provider?, label?, client? }] }, or the legacy rdp/web fields.
+  // Returns null when the list is malformed.
+  let list = body.endpoints;
+  if (list === undefined) {
+    const rdp = body.rdp || body.rdp_public_ip || "";
+    const web = body.web || body.web_public_ip || "";
+    list = [];
+    if (rdp) list.push({ protocol: "rdp", address: rdp, port: 3389 });
+    if (web) list.push({ protocol: "http", address: web.startsWith("http") ? web : `http://${web}`, port: 8006 });
+  }
+  if (!Array.isArray(list) || list.length > MAX_ENDPOINTS) return null;
+
+  const text = (v, max) => String(v ?? "").trim().slice(0, max);
+  const out = [];
+  for (const e of list) {
+    const protocol = text(e?.protocol, 16).toLowerCase();
+    const address = text(e?.address, 300);
+    if (!ENDPOINT_PROTOCOLS.has(protocol) || !address) return null;
+    if ((protocol === "http" || protocol === "https") && !/^https?:\/\//.test(address)) return null;
+    out.push({
+      protocol,
+      address,
+      port: Number(e.port) || null,
+      provider: text(e.provider, 32),
+      label: text(e.label, 64),
+      client: text(e.client, 300)
+    });
+  }
+  return out;
+}
+
+async function verifyWorkflowCall(request, env, url, { replayable = false } = {}) {
+  // Webhooks called from the workflow itself are signed with WEBHOOK_SECRET:
+  //   X-Signature: sha256=<hex HMAC-SHA256 of "<X-Timestamp>.<X-Nonce>.<path + query>.<raw body>">
+  // The timestamp must be within WEBHOOK_SKEW_SEC and each nonce is accepted once (KV nonce:<nonce>).
+  // replayable: idempotent reads skip the nonce check; the timestamp window alone bounds their replays.
+  // Returns the parsed JSON body ({} when empty), or null when the call isn't authentic.
+  if (!env.WEBHOOK_SECRET) return null;
+  const ts = Number(request.headers.get("X-Timestamp"));
+  const nonce = String(request.headers.get("X-Nonce") || "").toLowerCase();
+  const sig = String(request.headers.get("X-Signature") || "").toLowerCase();
+  if (!Number.isInteger(ts) || Math.abs(Date.now() / 1000 - ts) > WEBHOOK_SKEW_SEC) return null;
+  if (!/^[0-9a-f]{16,64}$/.test(nonce) || !sig.startsWith("sha256=")) return null;
+
+  const raw = await request.text();
+  const expected = await hmacSha256Hex(env.WEBHOOK_SECRET, `${ts}.${nonce}.${url.pathname}${url.search}.${raw}`);
+  if (!timingSafeEqual(expected, sig.slice(7))) return null;
+
+  // KV is eventually consistent: this stops replays of a captured request, not two copies racing each other.
+  if (!replayable) {
+    if (await env.SESSIONS_KV?.get(`nonce:${nonce}`)) return null;
+    await env.SESSIONS_KV?.put(`nonce:${nonce}`, "1", { expirationTtl: WEBHOOK_SKEW_SEC * 2 });
+  }
+
+  if (!raw) return {};
+  try {
+    return JSON.parse(raw);
+  } catch {
+    return {};
+  }
+}
+
+function bearerToken(request) {
+  const auth = request.headers.get("Authorization") || "";
+  return auth.startsWith("Bearer ") ? auth.slice(7) : "";
+}
+
+// Firebase ID token verification (RS256, keys from Google's JWKS).
+// Set FIREBASE_JWKS_URL to point at a locally generated key set when testing.
+let jwksCache = { url: "", keys: new Map(), expiresAt: 0, fetchedAt: 0 };
+
+async function verifyIdToken(token, env) {
+  const projectId = env.FIREBASE_PROJECT_ID;
+  const parts = String(token || "").split(".");
+  if (!projectId || parts.length !== 3) return null;
+
+  // Any segment that isn't base64url JSON (or base64url, for the signature) is a bad token, not a 500.
+  let header, payload, signature;
+  try {
+    header = JSON.parse(b64urlToText(parts[0]));
+    payload = JSON.parse(b64urlToText(parts[1]));
+    signature = b64urlToBytes(parts[2]);
+  } catch {
+    return null;
+  }
+  if (!header || typeof header !== "object" || !payload || typeof payload !== "object") return null;
+  if (header.alg !== "RS256" || !header.kid) return null;
+
+  const key = await firebaseSigningKey(env, header.kid);
+  if (!key) return null;
+  const valid = await crypto.subtle.verify(
+    "RSASSA-PKCS1-v1_5",
+    key,
+    signature,
+    new TextEncoder().encode(`${parts[0]}.${parts[1]}`)
+  );
+  if (!valid) return null;
+
+  const nowSec = Math.floor(Date.now() / 1000);
+  const skew = 60;
+  if (payload.aud !== projectId) return null;
+  if (payload.iss !== `https://securetoken.google.com/${projectId}`) return null;
+  if (typeof payload.sub !== "string" || !payload.sub || payload.sub.length > 128) return null;
+  if (!(Number(payload.exp) > nowSec - skew)) return null;
+  if (!(Number(payload.iat) <= nowSec + skew)) return null;
+  if (payload.auth_time !== undefined && !(Number(payload.auth_time) <= nowSec + skew)) return null;
+
+  return { uid: payload.sub, email: payload.email || "" };
+}
+
+async function firebaseSigningKey(env, kid) {
+  const url = env.FIREBASE_JWKS_URL || FIREBASE_JWKS_URL;
+  const fresh = jwksCache.url === url && Date.now() < jwksCache.expiresAt;
+  // Unknown kid with a fresh cache can mean Google rotated keys early: refetch, but at most once per
+  // JWKS_REFETCH_MS, so tokens with made-up kids can't make every request fetch the JWKS.
+  if (!fresh || (!jwksCache.keys.has(kid) && Date.now() - jwksCache.fetchedAt >= JWKS_REFETCH_MS)) await loadJwks(url);
+  return jwksCache.keys.get(kid) || null;
+}
+
+async function loadJwks(url) {
+  const res = await fetch(url);
+  if (!res.ok) throw new ApiError("upstream_unavailable", `JWKS fetch ${res.status}`);
+  const data = await res.json();
+
+  const keys = new Map();
+  for (const jwk of data?.keys || []) {
+    if (jwk.kty !== "RSA" || !jwk.kid) continue;
+    const key = await crypto.subtle.importKey(
+      "jwk",
+      { kty: "RSA", n: jwk.n, e: jwk.e, alg: "RS256", ext: true },
+      { name: "RSASSA-PKCS1-v1_5", hash: "SHA-256" },
+      false,
+      ["verify"]
+    );
+    keys.set(jwk.kid, key);
+  }
+
+  const maxAge = Number((res.headers.get("Cache-Control") || "").match(/max-age=(\d+)/)?.[1] || 3600);
+  jwksCache = { url, keys, expiresAt: Date.now() + maxAge * 1000, fetchedAt: Date.now() };
+}
+
+function b64urlToBytes(s) {
+  const b64 = s.replace(/-/g, "+").replace(/_/g, "/").padEnd(Math.ceil(s.length / 4) * 4, "=");
+  const bin = atob(b64);
+  const out = new Uint8Array(bin.length);
+  for (let i = 0; i < bin.length; i++) out[i] = bin.charCodeAt(i);
+  return out;
+}
+
+function b64urlToText(s) {
+  return new TextDecoder().decode(b64urlToBytes(s));
+}
+
+function utcDateKey(d = new Date()) {
+  return d.toISOString().slice(0, 10);
+}
+
+function normalizeWallet(w) {
+  const x = w || {};
+  return {
+    balance: Math.max(0, Number(x.balance || 0)),
+    cooldown: {
+      videoUntil: Number(x.cooldown?.videoUntil || 0),
+      shortUntil: Number(x.cooldown?.shortUntil || 0)
+    },
+    dailyClaimed: x.dailyClaimed || "",
+    updatedAt: Number(x.updatedAt || 0)
+  };
+}
+
+async function changePoints(env, uid, delta, reason, meta = {}) {
+  // Atomic balance change; refuses (ok: false) instead of going negative.
+  const tx = await dbTransaction(env, `wallets/${uid}`, (cur) => {
+    const w = normalizeWallet(cur);
+    if (w.balance + delta < 0) return undefined;
+    w.balance += delta;
+    w.updatedAt = Date.now();
+    return w;
+  });
+  const wallet = normalizeWallet(tx.value);
+  if (!tx.committed) return { ok: false, wallet };
+  await appendLedger(env, uid, { delta, balance: wallet.balance, reason, ...meta });
+  return { ok: true, wallet };
+}
+
+async function awardTask(env, uid, task) {
+  const spec = POINTS.tasks[task];
+  const nowMs = Date.now();
+  const today = utcDateKey();
+  let error = "";
+
+  const tx = await dbTransaction(env, `wallets/${uid}`, (cur) => {
+    const w = normalizeWallet(cur);
+    if (task === "daily") {
+      if (w.dailyClaimed === today) { error = "Daily already claimed"; return undefined; }
+      w.dailyClaimed = today;
+    } else {
+      const key = `${task}Until`;
+      if (w.cooldown[key] > nowMs) { error = "Cooldown"; return undefined; }
+      w.cooldown[key] = nowMs + spec.cooldownSec * 1000;
     }
-    return out;
+    w.balance += spec.reward;
+    w.updatedAt = nowMs;
+    return w;
+  });
+  const wallet = normalizeWallet(tx.value);
+  if (!tx.committed) return { ok: false, error, wallet };
+  await appendLedger(env, uid, { delta: spec.reward, balance: wallet.balance, reason: `Task: ${task}` });
+  return { ok: true, reward: spec.reward, wallet };
+}
+
+async function appendLedger(env, uid, entry) {
+  // POST = RTDB push id (chronological keys), so the ledger is append-only by construction.
+  // Best-effort: the balance change it records has already committed, so a failed write is only logged.
+  try {
+    await dbRequest(env, "POST", `ledger/${uid}`, { ...entry, ts: Date.now() });
+  } catch (err) {
+    console.log(`ledger ${uid}: ${err?.message || err} (${JSON.stringify(entry)})`);
+  }
+}
+
+function dbUrl(env, path, params = {}) {
+  const base = String(env.FIREBASE_DB_URL || "").replace(/\/$/, "");
+  if (!base || !env.FIREBASE_DB_SECRET) throw new Error("RTDB not configured");
+  const qs = new URLSearchParams({ ...params, auth: env.FIREBASE_DB_SECRET });
+  return `${base}/${path}.json?${qs}`;
+}
+
+async function dbRequest(env, method, path, body) {
+  const res = await fetch(dbUrl(env, path), {
+    method,
+    headers: { "Content-Type": "application/json" },
+    body: body === undefined ? undefined : JSON.stringify(body)
+  });
+  if (!res.ok) throw new ApiError("upstream_unavailable", `Firebase ${method} ${res.status}`);
+  return res.json();
+}
+
+async function dbGet(env, path, params) {
+  const res = await fetch(dbUrl(env, path, params));
+  if (!res.ok) throw new ApiError("upstream_unavailable", `Firebase GET ${res.status}`);
+  return res.json();
+}
+
+async function dbTransaction(env, path, update, attempts = 8) {
+  // Compare-and-set via RTDB ETags, same contract as the SDK's ref.transaction():
+  // return undefined from update() to abort.
+  for (let i = 0; i < attempts; i++) {
+    const res = await fetch(dbUrl(env, path), { headers: { "X-Firebase-ETag": "true" } });
+    if (!res.ok) throw new ApiError("upstream_unavailable", `Firebase GET ${res.status}`);
+    const etag = res.headers.get("ETag");
+    const cur = await res.json();
+
+    const next = update(cur);
+    if (next === undefined) return { committed: false, value: cur };
+
+    const put = await fetch(dbUrl(env, path), {
+      method: "PUT",
+      headers: { "Content-Type": "application/json", "if-match": etag },
+      body: JSON.stringify(next)
+    });
+    if (put.status === 412) continue; // someone else wrote in between: retry on fresh data
+    if (!put.ok) throw new ApiError("upstream_unavailable", `Firebase PUT ${put.status}`);
+    return { committed: true, value: next };
   }
+  throw new ApiError("upstream_unavailable", "Firebase transaction failed: too much contention");
+}
 
-  function stripQuotes(s) {
-    return String(s).replace(/^"(.*)"$/, "$1").replace(/^'(.*)'$/, "$1");
+// Per-run RDP password: 20 chars, always upper + lower + digit + symbol (Windows complexity rules).
+// Symbols avoid quotes, $, \ and ` so the value is safe inside the workflow's shell/compose file.
+function generatePassword(length = 20) {
+  const sets = ["ABCDEFGHJKLMNPQRSTUVWXYZ", "abcdefghijkmnopqrstuvwxyz", "23456789", "@#%+=_-"];
+  const all = sets.join("");
+
+  const out = sets.map((chars) => chars[randomInt(chars.length)]);
+  while (out.length < length) out.push(all[randomInt(all.length)]);
+  for (let i = out.length - 1; i > 0; i--) {
+    const j = randomInt(i + 1);
+    [out[i], out[j]] = [out[j], out[i]];
   }
+  return out.join("");
+}
 
-  function parseInput(inputName) {
-    const block = findBlock(inputName);
-    let def = "";
-    const opts = [];
-    let inOpts = false;
-    let optIndent = 0;
+function randomInt(n) {
+  // uniform in [0, n) — rejection sampling avoids modulo bias
+  const limit = 2 ** 32 - (2 ** 32 % n);
+  const buf = new Uint32Array(1);
+  do crypto.getRandomValues(buf); while (buf[0] >= limit);
+  return buf[0] % n;
+}
+
+async function secretKey(env) {
+  // PASSWORD_KEY = base64 of 32 random bytes (AES-256-GCM)
+  if (!env.PASSWORD_KEY) throw new Error("PASSWORD_KEY not configured");
+  const raw = Uint8Array.from(atob(env.PASSWORD_KEY), (c) => c.charCodeAt(0));
+  return crypto.subtle.importKey("raw", raw, "AES-GCM", false, ["encrypt", "decrypt"]);
+}
+
+async function encryptSecret(env, plaintext) {
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const ct = await crypto.subtle.encrypt({ name: "AES-GCM", iv }, await secretKey(env), new TextEncoder().encode(plaintext));
+  return { iv: bytesToB64(iv), ct: bytesToB64(new Uint8Array(ct)) };
+}
 
-    for (const ln of block) {
-      const mDef = ln.match(/^\s*default:\s*(.+)\s*$/);
-      if (mDef) def = stripQuotes(mDef[1].trim());
+async function decryptSecret(env, { iv, ct }) {
+  const b64ToBytes = (s) => Uint8Array.from(atob(s), (c) => c.charCodeAt(0));
+  const pt = await crypto.subtle.decrypt({ name: "AES-GCM", iv: b64ToBytes(iv) }, await secretKey(env), b64ToBytes(ct));
+  return new TextDecoder().decode(pt);
+}
 
-      const mOpt = ln.match(/^(\s*)options:\s*$/);
-      if (mOpt) { inOpts = true; optIndent = mOpt[1].length; continue; }
+function randomHex(bytes) {
+  return [...crypto.getRandomValues(new Uint8Array(bytes))].map((b) => b.toString(16).padStart(2, "0")).join("");
+}
 
-      if (inOpts) {
-        const leading = (ln.match(/^(\s*)/) || ["", ""])[1].length;
-        if (leading <= optIndent) { inOpts = false; continue; }
-        const mItem = ln.trim().match(/^- (.+)$/);
-        if (mItem) opts.push(stripQuotes(mItem[1].trim()));
+function bytesToB64(bytes) {
+  let bin = "";
+  for (const b of bytes) bin += String.fromCharCode(b);
+  return btoa(bin);
+}
+
+function bytesToB64url(bytes) {
+  return bytesToB64(bytes).replace(/=+$/, "").replace(/\+/g, "-").replace(/\//g, "_");
+}
+
+async function kvGetJson(env, key) {
+  const raw = await env.SESSIONS_KV?.get(key);
+  return raw ? JSON.parse(raw) : null;
+}
+
+async function startRun(env, uid, wf, submitted, { cost, reason, plan: planId = "", password = generatePassword(), disk = "", session_id = "", parent = null }) {
+  // Validate -> debit -> workflow_dispatch -> record. Used for new sessions and for extensions
+  // (parent = { run_id, session_started_at } of the run being continued, which also hands over its disk).
+  // Sized workflows take their VM size and price from the plan ("" = default plan) instead of `cost`.
+  // Always revalidated: the inputs sent must be the ones the workflow declares now.
+  const schema = WorkflowYaml.parseWorkflow(await fetchWorkflowYml(env, wf, { maxAgeMs: 0 }));
+  const checked = validateInputs(await inputSchema(env, schema.inputs), submitted);
+  if (checked.error) return { status: 400, error: checked.error, code: "validation" };
+
+  const dispatch_id = crypto.randomUUID();
+  const dispatched_at = new Date().toISOString();
+
+  // Workflows that predate these inputs would reject them (422): only send what is declared.
+  // The password is never an input (GitHub prints inputs in the run log): the run fetches it from
+  // /api/webhook/secret with its dispatch id.
+  const declared = new Set(schema.inputs.map((i) => i.name));
+  const correlated = declared.has("dispatch_id");
+  const inputs = { ...checked.inputs };
+  if (correlated) inputs.dispatch_id = dispatch_id;
+
+  let plan = null;
+  if (isSized(schema.inputs)) {
+    const id = planId || defaultPlanId(env);
+    plan = loadPlans(env)[id];
+    if (!plan) return { status: 400, error: "Unknown plan", code: "validation" };
+    const bad = checkResources(plan);
+    if (bad) return { status: 400, error: `Plan ${id}: ${bad}`, code: "validation" };
+    plan = { id, ...plan };
+    for (const name of Object.keys(RESOURCE_LIMITS)) inputs[name] = String(plan[name]);
+    cost = plan.points;
+  }
+
+  let snapshot = null;
+  let snapshots = null;
+  if (disk) {
+    if (!declared.has("snapshot_id")) return { status: 400, error: "This workflow has no persistent disk support", code: "validation" };
+    snapshots = await loadSnapshots(env, uid);
+    if (disk === "new") {
+      if (snapshots.length >= MAX_SNAPSHOTS) return { status: 409, error: `Snapshot limit reached (${MAX_SNAPSHOTS})`, code: "conflict" };
+      snapshot = { id: `snap_${randomHex(6)}`, created_at: Date.now(), run_id: null, artifact_id: null, size_bytes: 0, saved_at: null, expires_at: null };
+      snapshots.push(snapshot);
+    } else {
+      snapshot = snapshots.find((x) => x.id === disk);
+      if (!snapshot) return { status: 404, error: "Unknown snapshot", code: "not_found" };
+      // A continuation takes the disk over from its parent; anyone else waits for the save.
+      if (snapshotLocked(snapshot) && !parent) return { status: 409, error: "Disk is in use by a run", code: "conflict" };
+      // The VM can grow a saved disk image, never shrink it.
+      if (plan && snapshot.disk_size > plan.disk_size) {
+        return { status: 409, error: `This disk needs a plan with at least ${snapshot.disk_size} GB of disk`, code: "conflict" };
       }
     }
-    return { def, opts };
+    inputs.snapshot_id = snapshot.id;
+    // A continuation restores what its parent saves (the workflow waits for it).
+    if (declared.has("restore_run_id")) inputs.restore_run_id = String(parent?.run_id || snapshot.run_id || "");
   }
 
-  const os = parseInput("os_version");
-  const lang = parseInput("language");
+  const minutes = schema.timeoutMinutes;
+  const over = await reserveQuota(env, uid, dispatch_id, {
+    minutes,
+    ends_at: Date.parse(dispatched_at) + minutes * 60_000,
+    continuation: !!parent
+  });
+  if (over) return { status: 429, ...over };
+
+  // Debit first: nothing is dispatched unless the points were actually taken. Until the dispatch went out,
+  // any way out of here (refused, thrown, refund failed) gives the quota reservation back.
+  let dispatched = false;
+  let debit;
+  try {
+    debit = await changePoints(env, uid, -cost, reason, { dispatch_id });
+    if (!debit.ok) return { status: 402, error: "Insufficient points", code: "insufficient_points", balance: debit.wallet.balance, required: cost };
 
-  const tm = txt.match(/timeout-minutes:\s*(\d+)/);
-  const timeoutMinutes = tm ? Number(tm[1]) : 360;
+    try {
+      await ghDispatch(env, wf, {
+        ref: env.GITHUB_REF || "main",
+        inputs
+      });
+    } catch (err) {
+      await changePoints(env, uid, cost, "Refund: dispatch failed", { dispatch_id });
+      throw err;
+    }
+    dispatched = true;
+  } finally {
+    if (!dispatched) await releaseQuota(env, uid, dispatch_id);
+  }
+
+  // With a disk, the run stops using it early to save it (see SNAPSHOT_SAVE_MIN).
+  const usableMinutes = schema.timeoutMinutes - (snapshot ? SNAPSHOT_SAVE_MIN : 0);
+  const expires_at = Date.parse(dispatched_at) + usableMinutes * 60_000;
+
+  if (snapshot) {
+    Object.assign(snapshot, {
+      workflow: wf.id,
+      label: checked.inputs.os_version || wf.label,
+      disk_size: Math.max(Number(snapshot.disk_size) || 0, plan?.disk_size || 0),
+      // disks saved before encryption get their key now; their old image is restored as is
+      disk_key: snapshot.disk_key || (await encryptSecret(env, randomHex(32))),
+      locked_by: dispatch_id,
+      locked_until: expires_at + SNAPSHOT_SAVE_MIN * 60_000
+    });
+    await saveSnapshots(env, uid, snapshots);
+  }
+
+  // Only ever stored encrypted; released to the run by the secret webhook and to the owner by the connection route.
+  if (correlated) await env.SESSIONS_KV?.put(`secret:${dispatch_id}`, JSON.stringify(await encryptSecret(env, password)), { expirationTtl: RUN_TTL });
+
+  const record = {
+    uid,
+    workflow: wf.id,
+    inputs: checked.inputs,
+    dispatched_at,
+    expires_at,
+    correlated,
+    parent_run_id: parent?.run_id || null,
+    session_started_at: parent?.session_started_at || dispatched_at,
+    snapshot_id: snapshot?.id || null,
+    plan: plan?.id || null,
+    session_id: /^[\w-]{1,64}$/.test(session_id) ? session_id : null
+  };
+  // Recorded before any best-effort GitHub call: the run is paid for and dispatched, so from here on a
+  // failure must not lose it. The resolve route, the webhooks and the cron link the run id later.
+  await saveDispatch(env, dispatch_id, { ...record, run_id: null, html_url: null, created_at: null });
+  // Swept by the cron until the run has completed (see reconcile).
+  await env.SESSIONS_KV?.put(`active:${dispatch_id}`, JSON.stringify({ uid, run_id: null, dispatched_at }), { expirationTtl: RUN_TTL });
+
+  // Try to resolve run id quickly (best-effort)
+  const run = await tryResolveRun(env, dispatch_id, record).catch((err) => {
+    console.log(`resolve ${dispatch_id}: ${err?.message || err}`);
+    return null;
+  });
+  if (run) {
+    await saveDispatch(env, dispatch_id, { ...record, run_id: run.id, html_url: run.html_url || null, created_at: run.created_at || null });
+    await env.SESSIONS_KV?.put(`active:${dispatch_id}`, JSON.stringify({ uid, run_id: run.id, dispatched_at }), { expirationTtl: RUN_TTL });
+  }
 
   return {
-    osOptions: os.opts,
-    osDefault: os.def,
-    languageOptions: lang.opts,
-    languageDefault: lang.def,
-    timeoutMinutes
+    dispatch_id,
+    dispatched_at,
+    workflow: wf.id,
+    run_id: run?.id || null,
+    html_url: run?.html_url || null,
+    expires_at,
+    parent_run_id: record.parent_run_id,
+    snapshot_id: record.snapshot_id,
+    plan: record.plan,
+    cost,
+    balance: debit.wallet.balance
   };
 }
 
-async function ghDispatch(env, payload) {
-  await ghPost(env, `/repos/${env.GITHUB_OWNER}/${env.GITHUB_REPO}/actions/workflows/${encodeURIComponent(env.WORKFLOW_FILE || "WindowsRDP.yml")}/dispatches`, payload);
+async function saveDispatch(env, dispatchId, data) {
+  await env.SESSIONS_KV?.put(`dispatch:${dispatchId}`, JSON.stringify(data), { expirationTtl: DISPATCH_TTL });
+  if (data.run_id) {
+    // run:<runId> outlives the dispatch record: it's what run-scoped routes check ownership against.
+    await env.SESSIONS_KV?.put(`run:${data.run_id}`, JSON.stringify({
+      uid: data.uid,
+      dispatch_id: dispatchId,
+      html_url: data.html_url,
+      dispatched_at: data.dispatched_at,
+      expires_at: data.expires_at || null,
+      // what an extension needs to dispatch the same session again
+      workflow: data.workflow,
+      inputs: data.inputs,
+      parent_run_id: data.parent_run_id || null,
+      session_started_at: data.session_started_at || data.dispatched_at,
+      snapshot_id: data.snapshot_id || null,
+      plan: data.plan || null,
+      session_id: data.session_id || null
+    }), { expirationTtl: RUN_TTL });
+  }
 }
 
-async function tryResolveRun(env, dispatchedAtIso) {
-  // Best effort: fetch latest workflow_dispatch runs and find the earliest one created after dispatchedAt
-  const list = await ghGet(env, `/repos/${env.GITHUB_OWNER}/${env.GITHUB_REPO}/actions/workflows/${encodeURIComponent(env.WORKFLOW_FILE || "WindowsRDP.yml")}/runs?event=workflow_dispatch&per_page=10`);
+async function linkDispatchRun(env, dispatchId, runId) {
+  // A run reporting the dispatch id it was started with: link the two if neither is linked yet.
+  const data = await kvGetJson(env, `dispatch:${dispatchId}`);
+  if (!data || data.run_id || (await kvGetJson(env, `run:${runId}`))) return;
+  await saveDispatch(env, dispatchId, {
+    ...data,
+    run_id: Number(runId),
+    html_url: `https://github.com/${env.GITHUB_OWNER}/${env.GITHUB_REPO}/actions/runs/${runId}`,
+    created_at: null
+  });
+}
+
+async function claimExtension(env, runId, claimId) {
+  // -> null once this request holds the run's extension, else the claim that is in the way.
+  let held = null;
+  await dbTransaction(env, `extensions/${runId}`, (cur) => {
+    if (cur && (cur.dispatch_id || Date.now() - cur.claimed_at < EXTEND_CLAIM_MS)) {
+      held = cur;
+      return undefined;
+    }
+    return { claim_id: claimId, dispatch_id: null, claimed_at: Date.now() };
+  });
+  return held;
+}
+
+async function settleExtension(env, runId, claimId, dispatchId) {
+  // Our claim gets the continuation's dispatch id, or is dropped (dispatchId null) when nothing went out.
+  // Best-effort: an unsettled claim goes stale after EXTEND_CLAIM_MS, and run:<runId> has next_dispatch_id.
+  try {
+    await dbTransaction(env, `extensions/${runId}`, (cur) => {
+      if (cur?.claim_id !== claimId) return undefined;
+      return dispatchId ? { ...cur, dispatch_id: dispatchId } : null;
+    });
+  } catch (err) {
+    console.log(`extension ${runId}: ${err?.message || err}`);
+  }
+}
+
+async function ownsRun(env, runId, uid) {
+  const rec = await kvGetJson(env, `run:${runId}`);
+  return !!rec && rec.uid === uid;
+}
+
+// KV snapshots:<uid> = array of { id, workflow, label, disk_size, disk_key, created_at, run_id, artifact_id,
+// size_bytes, saved_at, expires_at, locked_by, locked_until }. run_id/artifact_id point at the newest saved disk;
+// disk_key ({ iv, ct }, see encryptSecret) never leaves the Worker except to the disk's own runs.
+async function loadSnapshots(env, uid) {
+  const list = (await kvGetJson(env, `snapshots:${uid}`)) || [];
+  // Saved disks whose artifact passed its retention are gone on GitHub too.
+  return list.filter((x) => !x.expires_at || x.expires_at > Date.now());
+}
+
+async function saveSnapshots(env, uid, list) {
+  await env.SESSIONS_KV?.put(`snapshots:${uid}`, JSON.stringify(list));
+}
+
+function snapshotLocked(snap) {
+  return !!snap.locked_by && Number(snap.locked_until) > Date.now();
+}
+
+function auditFailure(err) {
+  // Audit fields for an action whose work threw: the code its error response carries (see the fetch handler).
+  const e = err instanceof ApiError ? err : new ApiError("internal", "Internal error");
+  return { result: `error:${e.code}`, detail: e.message };
+}
+
+async function recordAudit(env, request, { uid, action, run_id = null, dispatch_id = null, result = "ok", detail = "", now = Date.now() }) {
+  // request is null for the Worker's own actions (no IP / user agent).
+  const ts = now;
+  const entry = {
+    id: randomHex(6),
+    ts,
+    uid: uid || null,
+    action,
+    run_id: run_id ? String(run_id) : null,
+    dispatch_id: dispatch_id || null,
+    result,
+    ip: request?.headers.get("CF-Connecting-IP") || null,
+    user_agent: String(request?.headers.get("User-Agent") || "").slice(0, 160) || null,
+    detail: String(detail || "").slice(0, 160)
+  };
+  const suffix = `${String(AUDIT_TS_MAX - ts).padStart(13, "0")}:${entry.id}`;
+  const keys = [`audit:${suffix}`];
+  if (entry.uid) keys.push(`audit_u:${entry.uid}:${suffix}`);
+  if (entry.run_id) keys.push(`audit_r:${entry.run_id}:${suffix}`);
+  const opts = { metadata: entry, expirationTtl: AUDIT_RETENTION_DAYS * 86_400 };
+  await Promise.all(keys.map((key) => env.SESSIONS_KV?.put(key, "", opts)));
+}
+
+async function queryAudit(env, { uid, run_id, from, to, cursor, limit }) {
+  // Newest first. The cursor is a KV list cursor plus how far into that page the last answer got.
+  const prefix = run_id ? `audit_r:${run_id}:` : uid ? `audit_u:${uid}:` : "audit:";
+  let { kv, skip } = cursor;
+  const entries = [];
+  for (let pages = 0; pages < AUDIT_LIST_PAGES; pages++) {
+    const page = await env.SESSIONS_KV.list({ prefix, cursor: kv || undefined });
+    for (let i = skip; i < page.keys.length; i++) {
+      const e = page.keys[i].metadata;
+      if (!e || (to && e.ts > to) || (uid && e.uid !== uid)) continue;
+      if (from && e.ts < from) return { entries, cursor: null }; // the rest is older still
+      entries.push(e);
+      if (entries.length >= limit) {
+        const more = i + 1 < page.keys.length || !page.list_complete;
+        return { entries, cursor: more ? encodeAuditCursor(kv, i + 1) : null };
+      }
+    }
+    if (page.list_complete) return { entries, cursor: null };
+    kv = page.cursor;
+    skip = 0;
+  }
+  return { entries, cursor: encodeAuditCursor(kv, 0) };
+}
+
+function encodeAuditCursor(kv, skip) {
+  return btoa(JSON.stringify([kv || "", skip])).replace(/=+$/, "");
+}
+
+function decodeAuditCursor(value) {
+  if (!value) return { kv: "", skip: 0 };
+  try {
+    const [kv, skip] = JSON.parse(atob(value));
+    return typeof kv === "string" && Number.isInteger(skip) && skip >= 0 ? { kv, skip } : null;
+  } catch {
+    return null;
+  }
+}
+
+function parseTime(value) {
+  // ms since epoch or an ISO date; 0 = unbounded
+  if (!value) return 0;
+  return /^\d+$/.test(value) ? Number(value) : Date.parse(value);
+}
+
+function isAdmin(env, uid) {
+  return String(env.ADMIN_UIDS || "").split(",").map((s) => s.trim()).filter(Boolean).includes(uid);
+}
+
+// Workflow catalog: WORKFLOW_CATALOG = JSON array of { id, label, file, path? }.
+// Without it, the single legacy WORKFLOW_FILE / WORKFLOW_PATH pair is the whole catalog.
+function workflowCatalog(env) {
+  let list = [];
+  if (env.WORKFLOW_CATALOG) list = JSON.parse(env.WORKFLOW_CATALOG);
+  if (!list.length) {
+    list = [{ id: "windows", label: "Windows RDP", file: env.WORKFLOW_FILE || "WindowsRDP.yml", path: env.WORKFLOW_PATH }];
+  }
+  return list.map((w) => ({
+    id: String(w.id),
+    label: String(w.label || w.id),
+    file: String(w.file),
+    path: String(w.path || `.github/workflows/${w.file}`)
+  }));
+}
+
+function findWorkflow(env, id) {
+  const catalog = workflowCatalog(env);
+  return id ? catalog.find((w) => w.id === id) || null : catalog[0];
+}
+
+function loadPlans(env) {
+  return env.PLANS ? JSON.parse(env.PLANS) : DEFAULT_PLANS;
+}
+
+function defaultPlanId(env) {
+  const plans = loadPlans(env);
+  return plans[DEFAULT_PLAN] ? DEFAULT_PLAN : Object.keys(plans)[0];
+}
+
+function isSized(inputs) {
+  return Object.keys(RESOURCE_LIMITS).every((name) => inputs.some((i) => i.name === name));
+}
+
+function checkResources(plan) {
+  // Whole numbers within the runner's ceilings, and a non-negative integer price.
+  for (const [name, { min, max }] of Object.entries(RESOURCE_LIMITS)) {
+    const v = plan[name];
+    if (!Number.isInteger(v) || v < min || v > max) return `${name} must be a whole number from ${min} to ${max}`;
+  }
+  if (!Number.isInteger(plan.points) || plan.points < 0) return "points must be a whole number";
+  return null;
+}
+
+function loadQuotas(env) {
+  return { ...DEFAULT_QUOTAS, ...(env.QUOTAS ? JSON.parse(env.QUOTAS) : {}) };
+}
+
+async function loadQuotaUsage(env, uid, now = Date.now()) {
+  return quotaUsage(await dbGet(env, `quotas/${uid}`), now);
+}
+
+function quotaUsage(saved, nowMs = Date.now()) {
+  // Counters roll over with the UTC day / month; a run past its timeout no longer counts as active.
+  saved ||= {};
+  const day = utcDateKey(new Date(nowMs));
+  const month = day.slice(0, 7);
+  return {
+    day,
+    dispatches: saved.day === day ? saved.dispatches || 0 : 0,
+    month,
+    minutes: saved.month === month ? saved.minutes || 0 : 0,
+    active: Object.fromEntries(Object.entries(saved.active || {}).filter(([, r]) => r.ends_at > nowMs))
+  };
+}
+
+function checkQuota(limits, usage, { minutes, continuation }) {
+  // -> null, or the 429 body: which limit, how much of it is used, and when it frees up (ms).
+  const running = Object.values(usage.active);
+  if (limits.concurrent && !continuation && running.length >= limits.concurrent) {
+    return {
+      error: `Concurrent session limit reached (${limits.concurrent})`,
+      code: "quota_concurrent",
+      limit: limits.concurrent,
+      used: running.length,
+      resets_at: Math.min(...running.map((r) => r.ends_at)) // at the latest: stopping a session frees it sooner
+    };
+  }
+  if (limits.daily_dispatches && usage.dispatches >= limits.daily_dispatches) {
+    return {
+      error: `Daily session limit reached (${limits.daily_dispatches})`,
+      code: "quota_daily",
+      limit: limits.daily_dispatches,
+      used: usage.dispatches,
+      resets_at: Date.parse(`${usage.day}T00:00:00Z`) + 86_400_000
+    };
+  }
+  if (limits.monthly_minutes && usage.minutes + minutes > limits.monthly_minutes) {
+    const [y, m] = usage.month.split("-").map(Number);
+    return {
+      error: `Monthly runner minutes exhausted (${usage.minutes} of ${limits.monthly_minutes} used, ${minutes} needed)`,
+      code: "quota_monthly",
+      limit: limits.monthly_minutes,
+      used: usage.minutes,
+      requested: minutes,
+      resets_at: Date.UTC(y, m, 1) // m is 1-based: first day of next month
+    };
+  }
+  return null;
+}
+
+async function reserveQuota(env, uid, dispatchId, { minutes, ends_at, continuation }) {
+  // -> null once the dispatch's share is taken, or the 429 body of the limit it would cross.
+  const limits = loadQuotas(env);
+  let over = null;
+  await dbTransaction(env, `quotas/${uid}`, (cur) => {
+    const usage = quotaUsage(cur);
+    over = checkQuota(limits, usage, { minutes, continuation });
+    if (over) return undefined;
+    usage.dispatches += 1;
+    usage.minutes += minutes;
+    usage.active[dispatchId] = { minutes, day: usage.day, month: usage.month, ends_at };
+    return usage;
+  });
+  return over;
+}
+
+async function releaseQuota(env, uid, dispatchId) {
+  // The dispatch didn't go out: give back all it reserved. Best-effort, the caller is already failing.
+  try {
+    await dbTransaction(env, `quotas/${uid}`, (cur) => {
+      const usage = quotaUsage(cur);
+      const held = usage.active[dispatchId];
+      if (!held) return undefined;
+      delete usage.active[dispatchId];
+      if (held.day === usage.day) usage.dispatches = Math.max(0, usage.dispatches - 1);
+      if (held.month === usage.month) usage.minutes = Math.max(0, usage.minutes - held.minutes);
+      return usage;
+    });
+  } catch (err) {
+    console.log(`quota release ${uid}: ${err?.message || err}`);
+  }
+}
+
+async function settleQuota(env, runId, status, now = Date.now()) {
+  // The run is over: it stops counting as active and gives back the reserved minutes it didn't use.
+  const rec = await kvGetJson(env, `run:${runId}`);
+  if (!rec?.uid) return;
+  const ran = Math.ceil((Date.parse(status.updated_at) - Date.parse(status.run_started_at || rec.dispatched_at)) / 60_000);
+  // Best-effort: an entry left behind stops counting as active at its ends_at anyway.
+  try {
+    await dbTransaction(env, `quotas/${rec.uid}`, (cur) => {
+      const usage = quotaUsage(cur, now);
+      const held = usage.active[rec.dispatch_id];
+      if (!held) return undefined;
+      delete usage.active[rec.dispatch_id];
+      if (held.month === usage.month && Number.isFinite(ran)) {
+        usage.minutes = Math.max(0, usage.minutes - held.minutes + Math.min(held.minutes, Math.max(0, ran)));
+      }
+      return usage;
+    });
+  } catch (err) {
+    console.log(`quota settle ${rec.uid}: ${err?.message || err}`);
+  }
+}
+
+async function fetchWorkflowYml(env, wf, { maxAgeMs = WORKFLOW_FRESH_MS } = {}) {
+  // Fetch workflow file content from GitHub Contents API (KV copy, see ghGetCached)
+  const path = encodeURIComponent(wf.path);
+  const ref = encodeURIComponent(env.GITHUB_REF || "main");
+  const data = await ghGetCached(env, `/repos/${env.GITHUB_OWNER}/${env.GITHUB_REPO}/contents/${path}?ref=${ref}`, maxAgeMs);
+  if (!data?.content) throw new ApiError("not_found", "Workflow file not found or missing content");
+  const b64 = data.content.replace(/\n/g, "");
+  const bytes = Uint8Array.from(atob(b64), (c) => c.charCodeAt(0));
+  return new TextDecoder().decode(bytes);
+}
+
+const INPUT_TYPES = new Set(["string", "choice", "boolean", "number", "environment"]);
+
+async function inputSchema(env, defs) {
+  // Raw yml input definitions -> typed schema (the form and validateInputs both use this).
+  const needsEnvs = defs.some((d) => d.type === "environment");
+  const envNames = needsEnvs ? await listEnvironments(env) : [];
+
+  return defs.map((d) => {
+    const type = INPUT_TYPES.has(d.type) ? d.type : "string";
+    let def = d.default;
+    if (type === "boolean") def = d.default === "true";
+    if (type === "number") def = d.default === "" ? null : Number(d.default);
+    return {
+      name: d.name,
+      label: d.description || d.name,
+      type,
+      required: !!d.required,
+      default: def,
+      options: type === "choice" ? d.options : type === "environment" ? envNames : []
+    };
+  });
+}
+
+async function listEnvironments(env) {
+  const data = await ghGetCached(env, `/repos/${env.GITHUB_OWNER}/${env.GITHUB_REPO}/environments?per_page=100`, ENVIRONMENTS_FRESH_MS);
+  return (data?.environments || []).map((e) => e.name);
+}
+
+function validateInputs(schema, submitted) {
+  // Client values checked + coerced against the workflow's own typed input definitions.
+  // workflow_dispatch wants strings, so every value goes out stringified.
+  const inputs = {};
+  for (const def of schema) {
+    if (SYSTEM_INPUTS.has(def.name)) continue;
+    const given = submitted[def.name];
+    const raw = given === undefined || given === null || given === "" ? def.default : given;
+    const missing = raw === undefined || raw === null || raw === "";
+    if (missing) {
+      if (def.required) return { error: `Missing input: ${def.name}` };
+      continue;
+    }
+
+    if (def.type === "boolean") {
+      if (raw !== true && raw !== false && raw !== "true" && raw !== "false") return { error: `${def.name} must be true or false` };
+      inputs[def.name] = String(raw === true || raw === "true");
+    } else if (def.type === "number") {
+      const n = Number(raw);
+      if (typeof raw === "boolean" || !Number.isFinite(n)) return { error: `${def.name} must be a number` };
+      inputs[def.name] = String(n);
+    } else {
+      const value = String(raw).trim();
+      if ((def.type === "choice" || def.type === "environment") && !def.options.includes(value)) {
+        return { error: `Invalid value for ${def.name}` };
+      }
+      if (value.length > 1024) return { error: `${def.name} is too long` };
+      if (def.required && !value) return { error: `Missing input: ${def.name}` };
+      inputs[def.name] = value;
+    }
+  }
+  for (const name of Object.keys(submitted)) {
+    if (SYSTEM_INPUTS.has(name) || !schema.some((d) => d.name === name)) return { error: `Unknown input: ${name}` };
+  }
+  return { inputs };
+}
+
+async function verifyHubSignature(secret, body, header) {
+  // X-Hub-Signature-256: sha256=<hex HMAC of the raw body>
+  if (!header.startsWith("sha256=")) return false;
+  const expected = await hmacSha256Hex(secret, body);
+  return timingSafeEqual(expected, header.slice(7).toLowerCase());
+}
+
+async function hmacSha256Hex(secret, message) {
+  const key = await crypto.subtle.importKey("raw", new TextEncoder().encode(secret), { name: "HMAC", hash: "SHA-256" }, false, ["sign"]);
+  const mac = new Uint8Array(await crypto.subtle.sign("HMAC", key, new TextEncoder().encode(message)));
+  return [...mac].map((b) => b.toString(16).padStart(2, "0")).join("");
+}
+
+function timingSafeEqual(a, b) {
+  if (a.length !== b.length) return false;
+  let diff = 0;
+  for (let i = 0; i < a.length; i++) diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+  return diff === 0;
+}
+
+function normalizeRun(run) {
+  return {
+    run_id: run.id,
+    status: run.status || "unknown",
+    conclusion: run.conclusion || null,
+    html_url: run.html_url || null,
+    display_title: run.display_title || run.name || "",
+    run_started_at: run.run_started_at || null,
+    updated_at: run.updated_at || new Date().toISOString()
+  };
+}
+
+function normalizeJob(job) {
+  return {
+    id: job.id,
+    name: job.name || "",
+    status: job.status || "unknown",
+    conclusion: job.conclusion || null,
+    started_at: job.started_at || null,
+    completed_at: job.completed_at || null
+  };
+}
+
+function isOurWorkflow(env, path) {
+  const p = String(path || "").split("@")[0];
+  return !p || workflowCatalog(env).some((w) => w.path === p);
+}
+
+async function onWorkflowRunEvent(env, wr) {
+  if (!wr?.id || !isOurWorkflow(env, wr.path)) return;
+  const key = `status:${wr.id}`;
+  const prev = await kvGetJson(env, key);
+  // Deliveries can arrive out of order: never let an older event overwrite a newer one.
+  if (prev && Date.parse(prev.updated_at) > Date.parse(wr.updated_at)) return;
+
+  const status = { ...normalizeRun(wr), jobs: prev?.jobs || {}, source: "webhook", received_at: Date.now() };
+  await env.SESSIONS_KV?.put(key, JSON.stringify(status), { expirationTtl: RUN_TTL });
+  if (status.status === "completed" && prev?.status !== "completed") await settleQuota(env, wr.id, status);
+
+  // The run-name carries the dispatch id: link it as soon as GitHub tells us about the run.
+  const dispatchId = status.display_title.match(/[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}/)?.[0];
+  if (dispatchId) {
+    const data = await kvGetJson(env, `dispatch:${dispatchId}`);
+    if (data && !data.run_id) {
+      await saveDispatch(env, dispatchId, { ...data, run_id: wr.id, html_url: wr.html_url, created_at: wr.created_at });
+    }
+  }
+}
+
+async function onWorkflowJobEvent(env, job) {
+  // Job payloads don't name the workflow file: only track runs we already know about.
+  if (!job?.run_id) return;
+  const key = `status:${job.run_id}`;
+  const prev = await kvGetJson(env, key);
+  if (!prev && !(await env.SESSIONS_KV?.get(`run:${job.run_id}`))) return;
+
+  const status = prev || {
+    run_id: job.run_id,
+    status: "in_progress",
+    conclusion: null,
+    html_url: null,
+    display_title: "",
+    run_started_at: job.started_at || null,
+    updated_at: new Date(0).toISOString(),
+    source: "webhook"
+  };
+  status.jobs = { ...(status.jobs || {}), [job.id]: normalizeJob(job) };
+  if (status.source === "webhook") status.received_at = Date.now();
+  await env.SESSIONS_KV?.put(key, JSON.stringify(status), { expirationTtl: RUN_TTL });
+}
+
+function statusFresh(status, now) {
+  // Can KV status:<runId> be served as is? Completed never changes; webhook-fed status is good until
+  // WEBHOOK_STATUS_MAX_MS without a delivery, API-fed status for STATUS_API_TTL_MS.
+  if (!status) return false;
+  if (status.status === "completed") return true;
+  if (status.source === "webhook") return now - (status.received_at || 0) < WEBHOOK_STATUS_MAX_MS;
+  return now - status.fetched_at < STATUS_API_TTL_MS;
+}
+
+function panelState(status, conn, stop) {
+  // GitHub status/conclusion -> the session states the panel shows
+  if (status?.status === "completed") {
+    if (status.conclusion === "cancelled" || stop) return "stopped";
+    if (status.conclusion === "failure" || status.conclusion === "timed_out") return "failed";
+    return "completed";
+  }
+  if (stop) return "stopping";
+  return conn ? "running" : "provisioning";
+}
+
+async function enforceStop(env, runId, status, nowMs = Date.now()) {
+  // Returns the graceful stop of a run (or null); past its deadline, the run is cancelled once.
+  const stop = await kvGetJson(env, `stop:${runId}`);
+  if (!stop || stop.cancelled_at || status?.status === "completed" || nowMs < stop.deadline) return stop;
+  await ghPost(env, `/repos/${env.GITHUB_OWNER}/${env.GITHUB_REPO}/actions/runs/${runId}/cancel`, {}).catch(() => {});
+  stop.cancelled_at = nowMs;
+  await env.SESSIONS_KV?.put(`stop:${runId}`, JSON.stringify(stop), { expirationTtl: RUN_TTL });
+  await recordAudit(env, null, { uid: "system", action: "run.cancel", run_id: runId, detail: "graceful stop timed out", now: nowMs });
+  return stop;
+}
+
+async function fetchRunStatus(env, runId, cached, now = Date.now()) {
+  // GitHub API -> KV status:<runId> (keeps the webhook's job list); settles the quota once it has completed.
+  // Revalidates the last API copy: unchanged, it is only marked fresh again.
+  const path = `/repos/${env.GITHUB_OWNER}/${env.GITHUB_REPO}/actions/runs/${runId}`;
+  const res = await ghFetch("GET", path, {
+    Authorization: await ghAuthorization(env),
+    ...(cached?.etag ? { "If-None-Match": cached.etag } : {})
+  });
+  if (res.status === 304 && cached?.etag) {
+    const status = { ...cached, fetched_at: now };
+    await env.SESSIONS_KV?.put(`status:${runId}`, JSON.stringify(status), { expirationTtl: RUN_TTL });
+    return status;
+  }
+  if (!res.ok) throw await ghError("GET", res);
+  const status = { ...normalizeRun(await res.json()), jobs: cached?.jobs || {}, source: "api", fetched_at: now, etag: res.headers.get("ETag") };
+  await env.SESSIONS_KV?.put(`status:${runId}`, JSON.stringify(status), { expirationTtl: RUN_TTL });
+  if (status.status === "completed") await settleQuota(env, runId, status, now);
+  return status;
+}
+
+async function runLogs(env, runId, { jobId, step, lines }) {
+  // Jobs and steps of the run, plus the tail of one step's log: the one asked for, else the failed step,
+  // else the latest one that started. The job list is revalidated on every call (a 304 is free).
+  const status = await kvGetJson(env, `status:${runId}`);
+  const data = await ghGetCached(env, `/repos/${env.GITHUB_OWNER}/${env.GITHUB_REPO}/actions/runs/${runId}/jobs?per_page=100`, 0);
+  const now = Date.now();
+  const jobs = (data.jobs || []).map((j) => ({
+    ...normalizeJob(j),
+    duration_ms: spanMs(j.started_at, j.completed_at, now),
+    steps: (j.steps || []).map((s) => ({
+      number: s.number,
+      name: s.name || "",
+      status: s.status || "queued",
+      conclusion: s.conclusion || null,
+      started_at: s.started_at || null,
+      completed_at: s.completed_at || null,
+      duration_ms: spanMs(s.started_at, s.completed_at, now)
+    }))
+  }));
+
+  const job = jobId
+    ? jobs.find((j) => String(j.id) === String(jobId))
+    : jobs.find((j) => j.conclusion === "failure") || jobs.find((j) => j.status === "in_progress") || jobs[jobs.length - 1];
+  if (jobId && !job) throw new ApiError("not_found", "No such job in this run");
+  const st = !job ? null : step
+    ? job.steps.find((s) => String(s.number) === String(step))
+    : job.steps.find((s) => s.conclusion === "failure") || job.steps.filter((s) => s.started_at).pop() || job.steps[0];
+  if (step && !st) throw new ApiError("not_found", "No such step in this job");
+
+  const log = st ? await stepLog(env, runId, job, st, { runDone: status?.status === "completed", lines }) : null;
+  return { run_id: Number(runId), status: status?.status || null, jobs, log };
+}
+
+function spanMs(start, end, now) {
+  if (!start) return null;
+  return Math.max(0, (end ? Date.parse(end) : now) - Date.parse(start));
+}
+
+async function stepLog(env, runId, job, st, { runDone, lines }) {
+  // { job_id, step, name, available, reason?, lines, truncated }; reason says why there is no log:
+  // "pending" (step not started), "running" (GitHub has no log for the job yet), "not_found", "too_large", "budget".
+  const sel = { job_id: job.id, step: st.number, name: st.name };
+  const none = (reason) => ({ ...sel, available: false, reason, lines: [], truncated: false });
+  if (!st.started_at && st.status !== "completed") return none("pending");
+
+  const key = `log:${job.id}:${st.number}`;
+  let entry = await kvGetJson(env, key);
+  if (!entry) {
+    if (ghBudgetLow()) return none("budget");
+    const got = await fetchStepLog(env, runId, job, st, runDone);
+    if (got.reason) return none(got.reason === "not_found" && job.status !== "completed" ? "running" : got.reason);
+
+    const all = redactLog(got.text, await logSecrets(env, runId))
+      .split(/\r?\n/)
+      .map((line) => line.replace(LOG_TIMESTAMP, ""));
+    while (all.length && !all[all.length - 1]) all.pop();
+    entry = { lines: all.slice(-LOG_TAIL_MAX), total: all.length };
+    if (job.status === "completed") await env.SESSIONS_KV?.put(key, JSON.stringify(entry), { expirationTtl: RUN_TTL });
+  }
+  return { ...sel, available: true, lines: entry.lines.slice(-lines), truncated: entry.total > lines };
+}
+
+async function fetchStepLog(env, runId, job, st, runDone) {
+  // { text } or { reason }. Archive entries: "<job>/<n>_<step>.txt" per step and "<i>_<job>.txt" per job, with
+  // characters that can't be in a file name dropped from the job name.
+  const base = `/repos/${env.GITHUB_OWNER}/${env.GITHUB_REPO}/actions`;
+  if (runDone) {
+    const zip = await ghDownload(env, `${base}/runs/${runId}/logs`);
+    if (zip.reason === "too_large") return zip;
+    if (zip.bytes) {
+      const entries = zipDirectory(zip.bytes);
+      const dir = job.name.replace(/[\\/:*?"<>|]/g, "");
+      const names = [...entries.keys()];
+      const stepFile = names.find((n) => n.startsWith(`${dir}/${st.number}_`) && n.endsWith(".txt"));
+      const jobFile = names.find((n) => !n.includes("/") && n.replace(/^\d+_/, "") === `${dir}.txt`);
+      const entry = entries.get(stepFile || jobFile);
+      if (entry && entry.usize > LOGS_MAX_BYTES) return { reason: "too_large" };
+      if (stepFile) return { text: await zipEntryText(zip.bytes, entry) };
+      if (jobFile) return { text: sliceStepLog(await zipEntryText(zip.bytes, entry), st) };
+    }
+  }
+  const res = await ghDownload(env, `${base}/jobs/${job.id}/logs`);
+  if (!res.bytes) return res;
+  return { text: sliceStepLog(new TextDecoder().decode(res.bytes), st) };
+}
+
+function sliceStepLog(text, st) {
+  // Job log -> the lines logged while the step ran. Every line starts with a timestamp; lines without one
+  // continue the previous line. Step times are whole seconds, so the end is widened by one.
+  const from = Date.parse(st.started_at);
+  const to = st.completed_at ? Date.parse(st.completed_at) + 1000 : Infinity;
+  if (Number.isNaN(from)) return text;
+  let keep = false;
+  return text.split(/\r?\n/).filter((line) => {
+    const ts = line.match(LOG_TIMESTAMP);
+    if (ts) keep = Date.parse(ts[1]) >= from && Date.parse(ts[1]) < to;
+    return keep;
+  }).join("\n");
+}
+
+async function logSecrets(env, runId) {
+  const rec = await kvGetJson(env, `run:${runId}`);
+  const secret = rec?.dispatch_id ? await kvGetJson(env, `secret:${rec.dispatch_id}`) : null;
+  return [
+    secret ? await decryptSecret(env, secret) : "",
+    env.GITHUB_TOKEN,
+    ghAppToken.token,
+    env.WEBHOOK_SECRET,
+    env.GITHUB_WEBHOOK_SECRET,
+    env.FIREBASE_DB_SECRET,
+    env.PASSWORD_KEY
+  ];
+}
+
+function redactLog(text, secrets) {
+  // Short values are skipped: they'd blank out ordinary words.
+  for (const s of secrets) if (s && s.length >= 6) text = text.split(s).join("***");
+  for (const [re, sub] of LOG_REDACTIONS) text = text.replace(re, sub);
+  return text;
+}
+
+function zipDirectory(bytes) {
+  // Central directory of a zip -> Map name -> { method, csize, local }. No zip64: log archives stay far below 4 GB.
+  const dv = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  let eocd = -1;
+  for (let i = bytes.length - 22; i >= Math.max(0, bytes.length - 22 - 0xffff); i--) {
+    if (dv.getUint32(i, true) === 0x06054b50) {
+      eocd = i;
+      break;
+    }
+  }
+  if (eocd < 0) throw new ApiError("upstream_unavailable", "GitHub log archive is not a zip");
+  const entries = new Map();
+  const count = dv.getUint16(eocd + 10, true);
+  let p = dv.getUint32(eocd + 16, true);
+  for (let i = 0; i < count && p + 46 <= bytes.length && dv.getUint32(p, true) === 0x02014b50; i++) {
+    const nameLen = dv.getUint16(p + 28, true);
+    entries.set(new TextDecoder().decode(bytes.subarray(p + 46, p + 46 + nameLen)), {
+      method: dv.getUint16(p + 10, true),
+      csize: dv.getUint32(p + 20, true),
+      usize: dv.getUint32(p + 24, true),
+      local: dv.getUint32(p + 42, true)
+    });
+    p += 46 + nameLen + dv.getUint16(p + 30, true) + dv.getUint16(p + 32, true);
+  }
+  return entries;
+}
+
+async function zipEntryText(bytes, entry) {
+  // The local header repeats name + extra field (lengths may differ from the central directory's).
+  const dv = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const start = entry.local + 30 + dv.getUint16(entry.local + 26, true) + dv.getUint16(entry.local + 28, true);
+  const data = bytes.subarray(start, start + entry.csize);
+  if (entry.method === 0) return new TextDecoder().decode(data);
+  if (entry.method !== 8) throw new ApiError("upstream_unavailable", `Unsupported zip compression ${entry.method}`);
+  return new Response(new Blob([data]).stream().pipeThrough(new DecompressionStream("deflate-raw"))).text();
+}
+
+async function reconcile(env, { now }) {
+  // One cron sweep over active:<dispatch_id>. Returns counts by outcome (logged for `wrangler tail`).
+  const summary = { checked: 0, pending: 0, running: 0, finished: 0, expired: 0, orphaned: 0, errors: 0 };
+  const seen = new Set();
+  let cursor = (await env.SESSIONS_KV.get(RECONCILE_CURSOR_KEY)) || undefined;
+  let wrapped = !cursor; // started from the top: reaching the end means everything was seen
+  while (summary.checked < RECONCILE_BATCH) {
+    let page;
+    try {
+      // A page never holds more than the batch has left, so its cursor is exactly where this sweep stops.
+      page = await env.SESSIONS_KV.list({ prefix: "active:", cursor, limit: RECONCILE_BATCH - summary.checked });
+    } catch (err) {
+      if (!cursor) throw err;
+      console.log(`reconcile cursor: ${err?.message || err}`); // expired cursor: start over
+      cursor = undefined;
+      wrapped = true;
+      continue;
+    }
+    for (const { name } of page.keys) {
+      if (seen.has(name)) continue;
+      seen.add(name);
+      summary.checked++;
+      try {
+        summary[await reconcileDispatch(env, name.slice("active:".length), now)]++;
+      } catch (err) {
+        summary.errors++;
+        console.log(`reconcile ${name}: ${err?.message || err}`);
+      }
+    }
+    cursor = page.list_complete ? undefined : page.cursor;
+    if (!cursor) {
+      if (wrapped) break;
+      wrapped = true;
+    }
+  }
+  if (cursor) await env.SESSIONS_KV.put(RECONCILE_CURSOR_KEY, cursor);
+  else await env.SESSIONS_KV.delete(RECONCILE_CURSOR_KEY);
+  console.log(`reconcile ${JSON.stringify(summary)}`);
+  return summary;
+}
+
+async function reconcileDispatch(env, dispatchId, now) {
+  // -> "pending" | "running" | "finished" | "expired" | "orphaned"
+  const key = `active:${dispatchId}`;
+  const active = await kvGetJson(env, key);
+  if (!active) return "finished";
+
+  // Find the run: the index, else the dispatch record (linked by the resolve route or the webhook), else GitHub.
+  let runId = active.run_id;
+  if (!runId) {
+    const data = await kvGetJson(env, `dispatch:${dispatchId}`);
+    let run = data?.run_id ? { id: data.run_id } : null;
+    if (data && !run && !ghBudgetLow()) {
+      run = await tryResolveRun(env, dispatchId, data);
+      if (run) await saveDispatch(env, dispatchId, { ...data, run_id: run.id, html_url: run.html_url, created_at: run.created_at });
+    }
+    if (!run) {
+      if (now - Date.parse(active.dispatched_at) < ORPHAN_DISPATCH_MS) return "pending";
+      // A continuation that never started leaves its session to the parent run.
+      if (data && !data.parent_run_id) await writeBackSession(env, data, null, "failed", now);
+      await env.SESSIONS_KV?.delete(key);
+      return "orphaned";
+    }
+    runId = String(run.id);
+    await env.SESSIONS_KV?.put(key, JSON.stringify({ ...active, run_id: runId }), { expirationTtl: RUN_TTL });
+  }
+
+  const rec = await kvGetJson(env, `run:${runId}`);
+  if (!rec) {
+    await env.SESSIONS_KV?.delete(key);
+    return "orphaned";
+  }
+
+  // Same freshness rules as GET /api/runs/:runId, except that a low GitHub budget keeps whatever KV has.
+  let status = await kvGetJson(env, `status:${runId}`);
+  const fresh = statusFresh(status, now);
+  if (!fresh && !ghBudgetLow()) status = await fetchRunStatus(env, runId, status, now);
+
+  const stop = await enforceStop(env, runId, status, now);
+  const conn = await kvGetJson(env, `conn:${runId}`);
+
+  if (status?.status === "completed") {
+    await settleQuota(env, runId, status, now);
+    await writeBackSession(env, rec, runId, panelState(status, conn, stop), now);
+    await env.SESSIONS_KV?.delete(key);
+    return "finished";
+  }
+
+  // Past the time the owner paid for, counted from when the job got a runner (a disk run also gets its save
+  // window): the workflow should have ended itself by now, so cancel it.
+  const queued = Math.max(0, Date.parse(status?.run_started_at || "") - Date.parse(rec.dispatched_at)) || 0;
+  const allowanceEnd = Number(rec.expires_at || 0) + queued + (rec.snapshot_id ? SNAPSHOT_SAVE_MIN * 60_000 : 0) + ALLOWANCE_GRACE_MS;
+  if (rec.expires_at && now > allowanceEnd && !stop?.cancelled_at) {
+    await ghPost(env, `/repos/${env.GITHUB_OWNER}/${env.GITHUB_REPO}/actions/runs/${runId}/cancel`, {});
+    await env.SESSIONS_KV?.put(`stop:${runId}`, JSON.stringify({ requested_at: now, deadline: now, acked_at: null, cancelled_at: now }), { expirationTtl: RUN_TTL });
+    await recordAudit(env, null, { uid: "system", action: "run.cancel", run_id: runId, dispatch_id: dispatchId, detail: "allowance expired", now });
+    await writeBackSession(env, rec, runId, "stopping", now);
+    return "expired";
+  }
+
+  await writeBackSession(env, rec, runId, panelState(status, conn, stop), now);
+  return "running";
+}
+
+async function writeBackSession(env, rec, runId, state, now) {
+  // What an open tab would have written to RTDB vps/<uid>/<session_id>. Only the newest run of a session
+  // speaks for it: an extended run's continuation takes over, and sessions the user deleted stay deleted.
+  if (!rec.session_id || rec.next_dispatch_id) return;
+  const path = `vps/${rec.uid}/${rec.session_id}`;
+  const s = await dbGet(env, path);
+  if (!s) return;
+  const ownRun = runId ? String(runId) : "";
+  if (s.runId && ownRun && String(s.runId) !== ownRun) {
+    if ((s.runIds || []).map(String).includes(ownRun)) return; // the session already moved on to a newer run
+  }
+
+  const patch = {};
+  if (s.status !== state) patch.status = state;
+  if (ownRun && String(s.runId || "") !== ownRun) {
+    // The tab closed before it learned the run id (or adopted the continuation): adopt it here.
+    Object.assign(patch, {
+      runId: ownRun,
+      runIds: [...(s.runIds || []).map(String).filter((id) => id !== ownRun), ownRun],
+      pendingDispatchId: "",
+      workflowUrl: rec.html_url || ""
+    });
+  }
+  if (!Object.keys(patch).length) return;
+  if (state === "stopped" || state === "failed" || state === "completed") patch.lastTickMs = now;
+  await dbRequest(env, "PATCH", path, { ...patch, updatedAt: now });
+}
+
+function runEventStream(env, ctx, runId) {
+  const { readable, writable } = new TransformStream();
+  const writer = writable.getWriter();
+  const enc = new TextEncoder();
+  const send = (event, data) => writer.write(enc.encode(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`));
+  const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+  ctx.waitUntil((async () => {
+    const closeAt = Date.now() + SSE_MAX_MS;
+    let lastState = "";
+    let lastStatus = "";
+    let conn = null;
+    let stop = null;
+    let connSent = false;
+    let fullReadAt = 0;
+    let remainingAt = 0;
+    let interval = SSE_POLL_MS;
+    try {
+      await writer.write(enc.encode("retry: 5000\n\n"));
+      const rec = await kvGetJson(env, `run:${runId}`);
+      while (Date.now() < closeAt) {
+        const status = await kvGetJson(env, `status:${runId}`);
+        const statusKey = `${status?.status}/${status?.conclusion}`;
+        if (statusKey !== lastStatus || Date.now() - fullReadAt >= SSE_FULL_READ_MS) {
+          fullReadAt = Date.now();
+          if (!conn) conn = await kvGetJson(env, `conn:${runId}`);
+          stop = await enforceStop(env, runId, status);
+        }
+        lastStatus = statusKey;
+
+        const state = panelState(status, conn, stop);
+        let changed = false;
+        if (state !== lastState) {
+          lastState = state;
+          changed = true;
+          await send("status", { run_id: runId, state, status: status?.status || null, conclusion: status?.conclusion || null });
+        }
+        if (conn && !connSent) {
+          connSent = true;
+          changed = true;
+          await send("connection", conn); // no password here: that only comes from the connection route
+        }
+        if (rec?.expires_at && Date.now() - remainingAt >= SSE_REMAINING_MS) {
+          remainingAt = Date.now();
+          await send("remaining", { expires_at: rec.expires_at, seconds: Math.max(0, Math.floor((rec.expires_at - Date.now()) / 1000)) });
+        }
+        if (status?.status === "completed") {
+          await send("end", { state });
+          break;
+        }
+        interval = changed ? SSE_POLL_MS : Math.min(interval * 2, SSE_POLL_MAX_MS);
+        await sleep(interval);
+      }
+    } catch {
+      // client went away: writes reject, nothing else to clean up
+    } finally {
+      await writer.close().catch(() => {});
+    }
+  })());
+
+  return new Response(readable, {
+    headers: { "Content-Type": "text/event-stream", "Cache-Control": "no-cache" }
+  });
+}
+
+async function ghDispatch(env, wf, payload) {
+  await ghPost(env, `/repos/${env.GITHUB_OWNER}/${env.GITHUB_REPO}/actions/workflows/${encodeURIComponent(wf.file)}/dispatches`, payload);
+}
+
+async function tryResolveRun(env, dispatchId, dispatch) {
+  // Runs created around the dispatch (GitHub lists newest first).
+  const wf = findWorkflow(env, dispatch.workflow) || findWorkflow(env);
+  const since = new Date(Date.parse(dispatch.dispatched_at) - 60_000).toISOString();
+  const list = await ghGet(env, `/repos/${env.GITHUB_OWNER}/${env.GITHUB_REPO}/actions/workflows/${encodeURIComponent(wf.file)}/runs?event=workflow_dispatch&per_page=50&created=${encodeURIComponent(`>=${since}`)}`);
   const runs = list?.workflow_runs || [];
-  const t0 = Date.parse(dispatchedAtIso) - 10_000; // -10s tolerance
-  for (const r of runs) {
+
+  // Exact match: the workflow puts the dispatch id in its run-name.
+  if (dispatch.correlated) {
+    return runs.find((r) => String(r.display_title || r.name || "").includes(dispatchId)) || null;
+  }
+
+  // Fallback for workflows without the dispatch_id input: earliest unclaimed run after dispatchedAt.
+  const t0 = Date.parse(dispatch.dispatched_at) - 10_000; // -10s tolerance
+  for (const r of [...runs].reverse()) {
     const created = Date.parse(r.created_at || "");
-    if (Number.isFinite(created) && created >= t0) return r;
+    if (!Number.isFinite(created) || created < t0) continue;
+    // Never hand out a run that already belongs to another dispatch (possibly another user).
+    if (await env.SESSIONS_KV?.get(`run:${r.id}`)) continue;
+    return r;
   }
   return null;
 }
 
+// GitHub credentials: a GitHub App when GITHUB_APP_ID + GITHUB_APP_PRIVATE_KEY are set, else the GITHUB_TOKEN
+// PAT. The app signs a short JWT and trades it for an installation token (1 hour), which each isolate keeps
+// until GH_TOKEN_MARGIN_MS before it expires.
+const GH_TOKEN_MARGIN_MS = 5 * 60_000;
+let ghAppToken = { app: "", token: "", expiresAt: 0 };
+let ghAppKey = { pem: "", key: null };
+
+async function ghAuthorization(env) {
+  if (!env.GITHUB_APP_ID || !env.GITHUB_APP_PRIVATE_KEY) return `Bearer ${env.GITHUB_TOKEN}`;
+  const app = `${env.GITHUB_APP_ID}:${env.GITHUB_APP_INSTALLATION_ID || ""}:${env.GITHUB_OWNER}/${env.GITHUB_REPO}`;
+  if (ghAppToken.app === app && Date.now() < ghAppToken.expiresAt - GH_TOKEN_MARGIN_MS) return `Bearer ${ghAppToken.token}`;
+
+  const jwt = await githubAppJwt(env);
+  // Without an explicit installation id, ask GitHub which installation covers the repo.
+  const installationId = env.GITHUB_APP_INSTALLATION_ID
+    || (await ghAppRequest(jwt, "GET", `/repos/${env.GITHUB_OWNER}/${env.GITHUB_REPO}/installation`)).id;
+  // Scoped to the one repo, whatever else the installation can reach.
+  const data = await ghAppRequest(jwt, "POST", `/app/installations/${installationId}/access_tokens`, { repositories: [env.GITHUB_REPO] });
+  ghAppToken = { app, token: data.token, expiresAt: Date.parse(data.expires_at) };
+  return `Bearer ${data.token}`;
+}
+
+async function githubAppJwt(env) {
+  // RS256; GitHub accepts at most 10 minutes, backdated a minute against clock drift.
+  const now = Math.floor(Date.now() / 1000);
+  const part = (obj) => bytesToB64url(new TextEncoder().encode(JSON.stringify(obj)));
+  const input = `${part({ alg: "RS256", typ: "JWT" })}.${part({ iat: now - 60, exp: now + 540, iss: String(env.GITHUB_APP_ID) })}`;
+  const sig = await crypto.subtle.sign("RSASSA-PKCS1-v1_5", await githubAppKey(env.GITHUB_APP_PRIVATE_KEY), new TextEncoder().encode(input));
+  return `${input}.${bytesToB64url(new Uint8Array(sig))}`;
+}
+
+async function githubAppKey(pem) {
+  // GitHub downloads keys as PKCS#1 ("BEGIN RSA PRIVATE KEY"); WebCrypto only imports PKCS#8, so wrap it.
+  // Secrets pasted on one line with literal \n are accepted too.
+  if (ghAppKey.pem === pem) return ghAppKey.key;
+  const der = Uint8Array.from(atob(pem.replace(/-----[^-]+-----|\\n|\s/g, "")), (c) => c.charCodeAt(0));
+  const pkcs8 = /BEGIN RSA PRIVATE KEY/.test(pem) ? pkcs1ToPkcs8(der) : der;
+  const key = await crypto.subtle.importKey("pkcs8", pkcs8, { name: "RSASSA-PKCS1-v1_5", hash: "SHA-256" }, false, ["sign"]);
+  ghAppKey = { pem, key };
+  return key;
+}
+
+function pkcs1ToPkcs8(pkcs1) {
+  // PrivateKeyInfo ::= SEQUENCE { version 0, AlgorithmIdentifier { rsaEncryption, NULL }, OCTET STRING pkcs1 }
+  const derLength = (n) => {
+    if (n < 0x80) return [n];
+    const bytes = [];
+    for (; n; n >>= 8) bytes.unshift(n & 0xff);
+    return [0x80 | bytes.length, ...bytes];
+  };
+  const rsaEncryption = [0x30, 0x0d, 0x06, 0x09, 0x2a, 0x86, 0x48, 0x86, 0xf7, 0x0d, 0x01, 0x01, 0x01, 0x05, 0x00];
+  const head = [0x02, 0x01, 0x00, ...rsaEncryption, 0x04, ...derLength(pkcs1.length)];
+  const outer = [0x30, ...derLength(head.length + pkcs1.length)];
+  const out = new Uint8Array(outer.length + head.length + pkcs1.length);
+  out.set(outer);
+  out.set(head, outer.length);
+  out.set(pkcs1, outer.length + head.length);
+  return out;
+}
+
+async function ghAppRequest(jwt, method, path, body) {
+  // App-level calls (installation lookup, token exchange) authenticate with the JWT itself.
+  const res = await ghFetch(method, path, { Authorization: `Bearer ${jwt}` }, body);
+  if (!res.ok) throw await ghError(method, res);
+  return res.json();
+}
+
 async function ghGet(env, path) {
-  const res = await fetch(`https://api.github.com${path}`, {
-    headers: {
-      "Authorization": `Bearer ${env.GITHUB_TOKEN}`,
-      "Accept": "application/vnd.github+json",
-      "User-Agent": "cloudvps-worker"
-    }
-  });
-  if (!res.ok) throw new Error(`GitHub GET ${res.status}: ${await res.text()}`);
+  const res = await ghFetch("GET", path, { Authorization: await ghAuthorization(env) });
+  if (!res.ok) throw await ghError("GET", res);
   return res.json();
 }
 
+async function ghDelete(env, path) {
+  const res = await ghFetch("DELETE", path, { Authorization: await ghAuthorization(env) });
+  // already gone counts as deleted
+  if (!res.ok && res.status !== 404) throw await ghError("DELETE", res);
+  return null;
+}
+
 async function ghPost(env, path, body) {
-  const res = await fetch(`https://api.github.com${path}`, {
-    method: "POST",
-    headers: {
-      "Authorization": `Bearer ${env.GITHUB_TOKEN}`,
-      "Accept": "application/vnd.github+json",
-      "User-Agent": "cloudvps-worker",
-      "Content-Type": "application/json"
-    },
-    body: JSON.stringify(body || {})
-  });
+  const res = await ghFetch("POST", path, { Authorization: await ghAuthorization(env) }, body || {});
   // dispatch endpoint returns 204 no content
   if (res.status === 204) return null;
-  if (!res.ok) throw new Error(`GitHub POST ${res.status}: ${await res.text()}`);
+  if (!res.ok) throw await ghError("POST", res);
   const ct = res.headers.get("content-type") || "";
   return ct.includes("application/json") ? res.json() : res.text();
 }
+
+async function ghGetCached(env, path, maxAgeMs) {
+  // KV copy of a GitHub GET (gh:<path>): used as is for maxAgeMs, then revalidated with If-None-Match.
+  // While the GitHub budget is low, any copy will do.
+  const key = `gh:${path}`;
+  const cached = await kvGetJson(env, key);
+  if (cached && (Date.now() - cached.checked_at < maxAgeMs || ghBudgetLow())) return cached.data;
+
+  const res = await ghFetch("GET", path, {
+    Authorization: await ghAuthorization(env),
+    ...(cached?.etag ? { "If-None-Match": cached.etag } : {})
+  });
+  let entry;
+  if (res.status === 304 && cached) {
+    entry = { ...cached, checked_at: Date.now() };
+  } else {
+    if (!res.ok) throw await ghError("GET", res);
+    entry = { etag: res.headers.get("ETag"), data: await res.json(), checked_at: Date.now() };
+  }
+  await env.SESSIONS_KV?.put(key, JSON.stringify(entry), { expirationTtl: GH_CACHE_TTL });
+  return entry.data;
+}
+
+async function ghDownload(env, path) {
+  // Log downloads: GitHub redirects to a short-lived storage URL, which is fetched without the GitHub credential.
+  // { bytes } or { reason: "not_found" | "too_large" }.
+  const res = await ghFetch("GET", path, { Authorization: await ghAuthorization(env) }, undefined, { redirect: "manual" });
+  let file = res;
+  const location = res.status >= 300 && res.status < 400 ? res.headers.get("Location") : null;
+  if (location) {
+    try {
+      file = await fetch(location);
+    } catch (err) {
+      throw new ApiError("upstream_unavailable", `GitHub log download failed: ${err?.message || err}`);
+    }
+  }
+  if (file.status === 404 || file.status === 410) return { reason: "not_found" };
+  if (!file.ok) throw await ghError("GET", file);
+  if (Number(file.headers.get("Content-Length")) > LOGS_MAX_BYTES) {
+    await file.body?.cancel();
+    return { reason: "too_large" };
+  }
+  const bytes = new Uint8Array(await file.arrayBuffer());
+  return bytes.length > LOGS_MAX_BYTES ? { reason: "too_large" } : { bytes };
+}
+
+async function ghFetch(method, path, headers, body, { redirect = "follow" } = {}) {
+  // One GitHub request with the retry policy above. Returns the last response; throws only when GitHub
+  // could not be reached at all.
+  const idempotent = method === "GET" || method === "DELETE";
+  for (let attempt = 0; ; attempt++) {
+    let res;
+    try {
+      res = await fetch(`https://api.github.com${path}`, {
+        method,
+        redirect,
+        headers: {
+          "Accept": "application/vnd.github+json",
+          "User-Agent": "cloudvps-worker",
+          ...(body === undefined ? {} : { "Content-Type": "application/json" }),
+          ...headers
+        },
+        body: body === undefined ? undefined : JSON.stringify(body)
+      });
+    } catch (err) {
+      if (idempotent && attempt < GH_RETRIES) {
+        await new Promise((r) => setTimeout(r, ghBackoffMs(attempt)));
+        continue;
+      }
+      throw new ApiError("upstream_unavailable", `GitHub ${method} failed: ${err?.message || err}`);
+    }
+    observeGhResponse(res);
+
+    const limited = ghSecondaryLimited(res);
+    if (attempt >= GH_RETRIES || !(limited || (idempotent && res.status >= 500))) return res;
+    const asked = Number(res.headers.get("Retry-After")) * 1000;
+    const wait = asked > 0 ? asked : ghBackoffMs(attempt);
+    if (wait > GH_RETRY_MAX_WAIT_MS) return res;
+    await res.body?.cancel();
+    await new Promise((r) => setTimeout(r, wait));
+  }
+}
+
+function ghBackoffMs(attempt) {
+  // full jitter: anywhere up to base * 2^attempt
+  return Math.round(Math.random() * GH_RETRY_BASE_MS * 2 ** attempt);
+}
+
+function ghSecondaryLimited(res) {
+  // Secondary limits: 403/429 with Retry-After, or without the primary budget being spent.
+  if (res.status !== 403 && res.status !== 429) return false;
+  return res.headers.has("Retry-After") || (res.status === 429 && res.headers.get("X-RateLimit-Remaining") !== "0");
+}
+
+async function ghError(method, res) {
+  // GitHub response -> ApiError. Only GitHub's own one-line message is kept, never the raw body.
+  const body = await res.json().catch(() => ({}));
+  const message = `GitHub ${method} ${res.status}${body?.message ? `: ${body.message}` : ""}`;
+  if (res.status === 404) return new ApiError("not_found", message);
+  if (res.status === 409) return new ApiError("conflict", message); // e.g. cancelling a run that has completed
+  if ((res.status === 403 || res.status === 429) && (ghSecondaryLimited(res) || res.headers.get("X-RateLimit-Remaining") === "0")) {
+    const reset = Number(res.headers.get("X-RateLimit-Reset")) * 1000;
+    const retryAfter = Number(res.headers.get("Retry-After")) || (reset > Date.now() ? Math.ceil((reset - Date.now()) / 1000) : 60);
+    return new ApiError("rate_limited", message, { retryAfter });
+  }
+  if (res.status === 401 || res.status === 403) return new ApiError("auth_failed", message);
+  if (res.status === 422) return new ApiError("validation", message);
+  return new ApiError("upstream_unavailable", message);
+}